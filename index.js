@@ -1,38 +1,193 @@
 // An extension that allows you to import characters from CHub.
-// TODO: allow multiple characters to be imported at once
 import {
     getRequestHeaders,
     processDroppedFiles,
-    callPopup
+    callPopup,
+    characters,
+    saveSettingsDebounced,
+    selectCharacterById,
+    printCharactersDebounced,
+    eventSource,
+    event_types
 } from "../../../../script.js";
-import { delay, debounce } from "../../../utils.js";
-import { extension_settings } from "../../../extensions.js";
+import { delay, debounce, download, escapeHtml, extractDataFromPng, waitUntilCondition } from "../../../utils.js";
+import { extension_settings, writeExtensionField } from "../../../extensions.js";
+import { importWorldInfo, world_names } from "../../../world-info.js";
+import { tags, createNewTag, addTagsToEntity } from "../../../tags.js";
+import { SlashCommandParser } from "../../../slash-commands/SlashCommandParser.js";
+import { SlashCommand } from "../../../slash-commands/SlashCommand.js";
+import { ARGUMENT_TYPE, SlashCommandArgument, SlashCommandNamedArgument } from "../../../slash-commands/SlashCommandArgument.js";
+import { buildResultRow, encodePath, sanitizeUrl } from "./render.js";
 
-const extensionName = "SillyTavern-Chub-Search";
-const extensionFolderPath = `scripts/extensions/${extensionName}/`;
+// Resolved from this module, the folder is named after whatever the extension was cloned as
+const extensionFolderPath = new URL('.', import.meta.url).href;
 
-// Endpoint for API call
-const API_ENDPOINT_SEARCH = "https://api.chub.ai/api/characters/search";
-const API_ENDPOINT_DOWNLOAD = "https://api.chub.ai/api/characters/download";
+// Endpoints used by the Chub search provider, relative to the configurable base URLs
+const DEFAULT_API_BASE_URL = "https://api.chub.ai";
+const DEFAULT_AVATAR_BASE_URL = "https://avatars.charhub.io";
+const API_ENDPOINT_SEARCH = "/api/characters/search";
+const API_ENDPOINT_DOWNLOAD = "/api/characters/download";
+const API_ENDPOINT_CHARACTER = "/api/characters";
+const API_ENDPOINT_LOREBOOK_SEARCH = "/api/lorebooks/search";
+const API_ENDPOINT_LOREBOOK_DOWNLOAD = "/api/lorebooks/download";
+const API_ENDPOINT_TAGS = "/tags";
+const API_ENDPOINT_PROJECTS = "/api/v4/projects";
+const AVATAR_ENDPOINT = "/avatars";
+const CHUB_SITE_URL = "https://chub.ai";
+
+// Lorebook paths carry this prefix so the importer can tell them apart from characters
+const LOREBOOK_PATH_PREFIX = "lorebooks/";
 
 const defaultSettings = {
     findCount: 10,
     nsfw: false,
+    defaultSort: 'download_count',
+    showFullDescriptions: false,
+    thumbnailSize: 100,
+    debugLogging: false,
+    trackedCharacters: {}, // fullPath -> { fullPath, name, avatar, lastActivityAt, importedAt, relatedLorebooks }
+    importedLorebooks: {}, // fullPath -> { fullPath, id, worldName, importedAt }
+    checkUpdatesOnStartup: false,
+    provider: 'chub',
+    customIndexUrl: '',
+    apiBaseUrl: DEFAULT_API_BASE_URL,
+    avatarBaseUrl: DEFAULT_AVATAR_BASE_URL,
+    useServerProxy: false,
+    cacheEnabled: true,
+    cacheTtlMinutes: 60,
+    cacheMaxSizeMb: 50,
+    advancedFilters: {
+        asc: false,
+        includeForks: true,
+        requireImages: false,
+        requireCustomPrompt: false,
+        minTokens: null,
+        maxTokens: null,
+        minRating: null,
+        createdAfter: '',
+        createdBefore: '',
+        updatedAfter: '',
+        updatedBefore: '',
+    },
+    searchPresets: {}, // Name -> search inputs, see getSearchInputs
+    defaultPreset: '',
+    favorites: {}, // fullPath -> { fullPath, name, author, description, tags, avatarUrl, provider, type, lastActivityAt, addedAt, note }
+    favoritesSort: 'addedAt',
+    viewMode: 'list', // 'list' or 'grid'
+    gridCardSize: 180,
+    blocklist: {
+        authors: [],
+        tags: [],
+        keywords: [], // Regular expressions, matched against the name and tagline
+    },
+    followedAuthors: {}, // Author -> { followedAt }
+    feedLastVisitAt: 0,
+    importHistory: [], // Newest first, see recordImport
+    importPipeline: {
+        applyTags: false,
+        createMissingTags: true,
+        tagMapping: {}, // Lowercased Chub topic -> SillyTavern tag name, an empty name drops the topic
+        ignoredTags: [],
+        storeSource: true,
+        startChat: false,
+    },
 };
 
-let chubCharacters = [];
 let characterListContainer = null;  // A global variable to hold the reference
 let popupState = null;
 let savedPopupContent = null;
-let isLoading = false;
-let currentPage = 1;
-let hasMoreResults = true;
-let loadingPage = null; // Track which page is currently being loaded
-let lastLoadedPage = null; // Track the last loaded page
-let processedPages = new Set();
+let selectedCharacters = new Map(); // fullPath -> { fullPath, name } picked for batch import
+let tagFilters = { include: [], exclude: [] }; // Normalized tag chips of the search popup
+let knownTags = null; // [{ name, count }] from the provider's tag list, loaded on first use
+let selectedFavorites = new Set(); // fullPaths of favorites checked for bulk import
+let favoriteAvatarUrls = new Map(); // fullPath -> object URL of the shown favorite avatars
+let browseMode = null; // null for the normal search, { type: 'author', author } or { type: 'feed' }
+let feedSince = null; // Uploads after this time are new in the feed, fixed on the first feed of a session
+let showBlockedResults = false; // Whether results hidden by the blocklist are shown (dimmed) anyway
+let lightboxIndex = -1; // Index of the result row shown in the lightbox, -1 when closed
+let activeObjectUrls = new Set(); // Avatar object URLs that still need to be revoked
+let availableUpdates = []; // Tracked characters that changed upstream, from the last update check
+let isCheckingUpdates = false;
+let libraryImportLock = Promise.resolve(); // Chains the card imports, see addCardToLibrary
+
+// How many downloads the import queue runs side by side
+const IMPORT_CONCURRENCY = 3;
+// Oldest entries of the import history are dropped beyond this
+const IMPORT_HISTORY_LIMIT = 500;
+
+const importQueue = {
+    items: [],      // { fullPath, name, status: 'queued' | 'importing' | 'done' | 'failed' | 'cancelled', error }
+    active: 0,
+    summaryShown: true,
+};
+
+// The search shown in the popup: its options, pagination, loaded results and requests in flight.
+// A new search starts it over; the popup DOM it fills is kept between openings, see displayCharactersInListViewPopup.
+const searchSession = {
+    options: null,          // Options of the current search, see getSearchOptions
+    results: [],            // Results in the order they were added to the list
+    seen: new Map(),        // Dedupe key -> result, see processCharacters
+    currentPage: 1,
+    hasMore: true,
+    loadingPage: null,      // The page infinite scroll is loading
+    lastLoadedPage: null,
+    processedPages: new Set(),
+    isLoading: false,
+    abortController: null,  // Aborts the requests of the current search when a new one starts
+    failed: null,           // { options, append } of the last search that failed, for the Retry button
+    scrollTop: 0,           // Scroll position of the result list, restored when the popup opens again
+    listeners: [],          // [target, type, listener, options] added for the open popup
+
+    /**
+     * Starts a new search: aborts the requests still running and forgets the loaded results and pages.
+     * @param {Object|null} [options=null] - The options of the new search.
+     * @returns {AbortController} - The controller for the requests of the new search.
+     */
+    start(options = null) {
+        this.abortController?.abort();
+        this.abortController = new AbortController();
+        this.options = options;
+        this.results = [];
+        this.seen.clear();
+        this.currentPage = options?.page || 1;
+        this.hasMore = true;
+        this.loadingPage = null;
+        this.lastLoadedPage = null;
+        this.processedPages.clear();
+        this.isLoading = false;
+        this.failed = null;
+        return this.abortController;
+    },
+
+    isCurrent(abortController) {
+        return abortController === this.abortController;
+    },
+
+    addPage(page, results) {
+        this.results.push(...results);
+        this.processedPages.add(page);
+        this.hasMore = results.length === extension_settings.chub.findCount;
+    },
+
+    find(fullPath) {
+        return Array.from(this.seen.values()).find(result => result.fullPath === fullPath);
+    },
+
+    listen(target, type, listener, options) {
+        target.addEventListener(type, listener, options);
+        this.listeners.push([target, type, listener, options]);
+    },
+
+    teardown() {
+        for (const [target, type, listener, options] of this.listeners) {
+            target.removeEventListener(type, listener, options);
+        }
+        this.listeners = [];
+    },
+};
 
 const performance_monitoring = {
-    enabled: true,
+    enabled: false, // Follows the debugLogging setting, see loadSettings
     log: function(action, timeStart) {
         if (!this.enabled) return;
         const timeEnd = performance.now();
@@ -41,132 +196,2697 @@ const performance_monitoring = {
 };
 
 /**
- * Asynchronously loads settings from `extension_settings.chub`, 
- * filling in with default settings if some are missing.
- * 
- * After loading the settings, it also updates the UI components 
- * with the appropriate values from the loaded settings.
+ * Builds a Chub API URL from the configured base URL.
+ * @param {string} endpoint - The endpoint path, e.g. `API_ENDPOINT_SEARCH`.
+ * @returns {string} - The full URL.
  */
-async function loadSettings() {
-    // Ensure extension_settings.timeline exists
-    if (!extension_settings.chub) {
-        console.log("Creating extension_settings.chub");
-        extension_settings.chub = {};
-    }
+function getApiUrl(endpoint) {
+    const baseUrl = (extension_settings.chub.apiBaseUrl || DEFAULT_API_BASE_URL).trim().replace(/\/+$/, '');
+    return `${baseUrl}${endpoint}`;
+}
 
-    // Check and merge each default setting if it doesn't exist
-    for (const [key, value] of Object.entries(defaultSettings)) {
-        if (!extension_settings.chub.hasOwnProperty(key)) {
-            console.log(`Setting default for: ${key}`);
-            extension_settings.chub[key] = value;
-        }
+/**
+ * Builds a Chub avatar URL from the configured base URL.
+ * @param {string} fullPath - The unique path/reference for the character.
+ * @returns {string} - The full URL of the avatar image.
+ */
+function getAvatarUrl(fullPath) {
+    const baseUrl = (extension_settings.chub.avatarBaseUrl || DEFAULT_AVATAR_BASE_URL).trim().replace(/\/+$/, '');
+    return `${baseUrl}${AVATAR_ENDPOINT}/${fullPath}/avatar.webp`;
+}
+
+/**
+ * Builds a cache key that names the hosts the data was fetched from, so switching to a mirror,
+ * a local index or proxy mode never serves pages and avatars cached from the previous setup.
+ * @param {SearchProvider} provider - The provider the data comes from.
+ * @param {string} key - What is cached, e.g. the search options or a path.
+ * @returns {string} - The cache key.
+ */
+function getCacheKey(provider, key) {
+    const { apiBaseUrl, avatarBaseUrl, customIndexUrl, useServerProxy } = extension_settings.chub;
+    const source = [apiBaseUrl, avatarBaseUrl, customIndexUrl].map(url => (url || '').trim().replace(/\/+$/, '')).join('|');
+    return `${provider.id}|${source}|${useServerProxy ? 'proxy' : 'direct'}|${key}`;
+}
+
+/**
+ * Fetches a remote URL, either directly from the browser or, in proxy mode,
+ * through the SillyTavern server's CORS proxy (`enableCorsProxy` in config.yaml).
+ * @param {string} url - The remote URL.
+ * @param {RequestInit} [init] - Fetch options.
+ * @returns {Promise<Response>} - The response.
+ */
+async function remoteFetch(url, init = {}) {
+    if (!extension_settings.chub.useServerProxy) {
+        return fetch(url, init);
     }
 
+    // The proxy needs the CSRF token and forwards the remaining headers to the remote host
+    return fetch(`/proxy/${encodeURIComponent(url)}`, {
+        ...init,
+        headers: { ...getRequestHeaders(), ...init.headers },
+    });
 }
 
 /**
- * Downloads a custom character based on the provided URL.
- * @param {string} input - A string containing the URL of the character to be downloaded.
- * @returns {Promise<void>} - Resolves once the character has been processed or if an error occurs.
+ * Waits for the given time, unless the signal is aborted first.
+ * @param {number} ms - The time to wait in milliseconds.
+ * @param {AbortSignal} [signal] - Cancels the wait.
+ * @returns {Promise<void>} - Resolves after the wait, rejects with an AbortError when aborted.
  */
-async function downloadCharacter(input) {
-    const url = input.trim();
-    console.debug('Custom content import started', url);
-    let request = null;
-    // try /api/content/import first and then /import_custom
-    request = await fetch('/api/content/importUUID', {
-        method: 'POST',
-        headers: getRequestHeaders(),
-        body: JSON.stringify({ url }),
-    });
-    if (!request.ok) {  
-        request = await fetch('/import_custom', {
-            method: 'POST',
-            headers: getRequestHeaders(),
-            body: JSON.stringify({ url }),
-        });
+function abortableDelay(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal?.aborted) {
+            return reject(new DOMException('The request was aborted', 'AbortError'));
+        }
+        const timer = setTimeout(resolve, ms);
+        signal?.addEventListener('abort', () => {
+            clearTimeout(timer);
+            reject(new DOMException('The request was aborted', 'AbortError'));
+        }, { once: true });
+    });
+}
+
+/**
+ * Gets how long to wait before retrying a response, honoring its `Retry-After` header
+ * and falling back to exponential backoff.
+ * @param {Response} response - The failed response.
+ * @param {number} attempt - The number of the retry, starting at 0.
+ * @returns {number} - The delay in milliseconds.
+ */
+function getRetryDelay(response, attempt) {
+    const retryAfter = response.headers.get('Retry-After');
+    if (retryAfter) {
+        // Either a number of seconds or an HTTP date
+        const seconds = Number(retryAfter);
+        const delay = isNaN(seconds) ? Date.parse(retryAfter) - Date.now() : seconds * 1000;
+        if (!isNaN(delay)) {
+            return clamp(delay, 0, RETRY_MAX_DELAY);
+        }
     }
+    return Math.min(RETRY_BASE_DELAY * 2 ** attempt, RETRY_MAX_DELAY);
+}
 
-    if (!request.ok) {
-        toastr.info("Click to go to the character page", 'Custom content import failed', {onclick: () => window.open(`https://www.chub.ai/characters/${url}`, '_blank') });
-        console.error('Custom content import failed', request.status, request.statusText);
-        return;
+/**
+ * Fetches a remote URL, retrying with backoff on 429 and 5xx responses.
+ * @param {string} url - The remote URL.
+ * @param {RequestInit} [init] - Fetch options, `signal` cancels the request and any pending retry.
+ * @returns {Promise<Response>} - The successful response.
+ * @throws {Error} - If the request still fails after the retries, or an AbortError if it was aborted.
+ */
+async function fetchWithRetry(url, init = {}) {
+    for (let attempt = 0; ; attempt++) {
+        const response = await remoteFetch(url, init);
+        if (response.ok) {
+            return response;
+        }
+
+        const retryable = response.status === 429 || response.status >= 500;
+        if (!retryable || attempt >= MAX_RETRIES) {
+            throw new Error(`Request failed: ${response.status} ${response.statusText}`);
+        }
+
+        const delay = getRetryDelay(response, attempt);
+        console.warn(`Request to ${url} failed with ${response.status}, retrying in ${delay}ms`);
+        await abortableDelay(delay, init.signal);
     }
+}
 
-    const data = await request.blob();
-    const customContentType = request.headers.get('X-Custom-Content-Type');
-    const fileName = request.headers.get('Content-Disposition').split('filename=')[1].replace(/"/g, '');
-    const file = new File([data], fileName, { type: data.type });
+// Retries of rate-limited (429) and failed (5xx) requests
+const MAX_RETRIES = 3;
+const RETRY_BASE_DELAY = 1000;
+const RETRY_MAX_DELAY = 30000;
 
-    switch (customContentType) {
-        case 'character':
-            processDroppedFiles([file]);
-            break;
-        default:
-            toastr.warning('Unknown content type');
-            console.error('Unknown content type', customContentType);
-            break;
+// IndexedDB cache for search pages and avatars
+const CACHE_DB_NAME = "SillyTavern-Chub-Search";
+const CACHE_STORES = {
+    pages: "searchPages",
+    avatars: "avatars",
+};
+// Pruning reads every record, so don't do it on every write
+const CACHE_PRUNE_INTERVAL = 60 * 1000;
+// Avatars of favorites are kept until unfavorited, so they're outside the pruned cache stores
+const FAVORITE_AVATAR_STORE = "favoriteAvatars";
+
+const searchCache = {
+    db: null,
+    lastPrune: 0,
+
+    isEnabled() {
+        return extension_settings.chub.cacheEnabled && typeof indexedDB !== 'undefined';
+    },
+
+    async open() {
+        if (this.db) return this.db;
+
+        this.db = await new Promise((resolve, reject) => {
+            const request = indexedDB.open(CACHE_DB_NAME, 2);
+            request.onupgradeneeded = () => {
+                for (const store of [...Object.values(CACHE_STORES), FAVORITE_AVATAR_STORE]) {
+                    if (!request.result.objectStoreNames.contains(store)) {
+                        request.result.createObjectStore(store, { keyPath: 'key' });
+                    }
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        return this.db;
+    },
+
+    async transaction(store, mode, action) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(store, mode);
+            const request = action(tx.objectStore(store));
+            tx.oncomplete = () => resolve(request?.result);
+            tx.onerror = () => reject(tx.error);
+        });
+    },
+
+    isExpired(record) {
+        return Date.now() - record.storedAt > extension_settings.chub.cacheTtlMinutes * 60 * 1000;
+    },
+
+    /**
+     * Reads a cached value. Cache failures are logged and treated as a miss.
+     * @param {string} store - One of `CACHE_STORES`.
+     * @param {string} key - The cache key.
+     * @returns {Promise<any>} - The cached value, or null if missing or expired.
+     */
+    async get(store, key) {
+        if (!this.isEnabled()) return null;
+
+        try {
+            const record = await this.transaction(store, 'readonly', objectStore => objectStore.get(key));
+            if (!record || this.isExpired(record)) {
+                return null;
+            }
+            return record.value;
+        } catch (error) {
+            console.warn('Cache read failed', error);
+            return null;
+        }
+    },
+
+    /**
+     * Stores a value. Cache failures are logged and ignored.
+     * @param {string} store - One of `CACHE_STORES`.
+     * @param {string} key - The cache key.
+     * @param {any} value - The value, anything IndexedDB can clone.
+     * @param {number} size - The approximate size of the value in bytes, for the size cap.
+     * @returns {Promise<void>}
+     */
+    async set(store, key, value, size) {
+        if (!this.isEnabled()) return;
+
+        try {
+            await this.transaction(store, 'readwrite', objectStore => objectStore.put({ key, value, size, storedAt: Date.now() }));
+            if (Date.now() - this.lastPrune > CACHE_PRUNE_INTERVAL) {
+                this.lastPrune = Date.now();
+                await this.prune();
+            }
+        } catch (error) {
+            console.warn('Cache write failed', error);
+        }
+    },
+
+    /**
+     * Removes expired records, then the oldest ones until the cache fits the size cap.
+     * @returns {Promise<void>}
+     */
+    async prune() {
+        const timeStart = performance.now();
+        const records = [];
+        for (const store of Object.values(CACHE_STORES)) {
+            const storeRecords = await this.transaction(store, 'readonly', objectStore => objectStore.getAll());
+            records.push(...storeRecords.map(record => ({ store, key: record.key, size: record.size, storedAt: record.storedAt, expired: this.isExpired(record) })));
+        }
+
+        const maxSize = extension_settings.chub.cacheMaxSizeMb * 1024 * 1024;
+        let totalSize = records.filter(record => !record.expired).reduce((sum, record) => sum + record.size, 0);
+        const toDelete = records.filter(record => record.expired);
+
+        for (const record of records.filter(record => !record.expired).sort((a, b) => a.storedAt - b.storedAt)) {
+            if (totalSize <= maxSize) break;
+            toDelete.push(record);
+            totalSize -= record.size;
+        }
+
+        for (const record of toDelete) {
+            await this.transaction(record.store, 'readwrite', objectStore => objectStore.delete(record.key));
+        }
+        performance_monitoring.log(`Cache prune (${toDelete.length} of ${records.length} removed)`, timeStart);
+    },
+
+    async clear() {
+        for (const store of Object.values(CACHE_STORES)) {
+            await this.transaction(store, 'readwrite', objectStore => objectStore.clear());
+        }
+    },
+};
+
+/**
+ * Creates an object URL for an avatar and remembers it so it can be revoked later.
+ * @param {Blob} blob - The image data.
+ * @returns {string} - The object URL.
+ */
+function createTrackedObjectUrl(blob) {
+    const url = URL.createObjectURL(blob);
+    activeObjectUrls.add(url);
+    return url;
+}
+
+/**
+ * Revokes avatar object URLs that are no longer shown.
+ * @param {Array<string>} [keep] - URLs that are still in use.
+ */
+function revokeObjectUrls(keep = []) {
+    const keepSet = new Set(keep);
+    for (const url of activeObjectUrls) {
+        if (!keepSet.has(url)) {
+            URL.revokeObjectURL(url);
+            activeObjectUrls.delete(url);
+        }
     }
 }
 
 /**
- * Updates the character list in the view based on provided characters.
- * @param {Array} characters - A list of character data objects to be rendered in the view.
- * @param {boolean} append - Whether to append the characters or replace existing ones.
+ * Loads the avatar of a result from the cache or its provider.
+ * @param {Object} character - The result object.
+ * @param {SearchProvider} [provider] - The provider of the result.
+ * @returns {Promise<string>} - An object URL for the avatar, or an empty string if it has none.
  */
-function updateCharacterListInView(characters, append = false) {
-    if (!characterListContainer) return;
+async function loadAvatar(character, provider = getProvider(character.provider)) {
+    const key = getCacheKey(provider, character.fullPath);
+    let blob = await searchCache.get(CACHE_STORES.avatars, key);
 
-    // Use DocumentFragment for better performance
-    const fragment = document.createDocumentFragment();
-    
-    // Create template element once
-    const template = document.createElement('template');
-    
-    // Process all characters at once
-    const html = characters.map((character, i) => {
-        const existingItem = characterListContainer.querySelector(`[data-path="${character.fullPath}"]`);
-        if (existingItem && append) {
-            console.log(`Skipping duplicate character in view: ${character.name}`);
+    if (!blob) {
+        blob = await provider.fetchAvatar(character);
+        if (!blob) {
             return '';
         }
-        return generateCharacterListItem(character, i);
-    }).filter(html => html !== '').join('');
-    
-    template.innerHTML = html;
-    fragment.appendChild(template.content);
-
-    if (!append) {
-        characterListContainer.innerHTML = '';
+        await searchCache.set(CACHE_STORES.avatars, key, blob, blob.size);
     }
-    
-    if (fragment.children.length > 0) {
-        characterListContainer.appendChild(fragment);
+
+    return createTrackedObjectUrl(blob);
+}
+
+/**
+ * Releases the avatars of the saved popup content when the popup closes.
+ * The images are reloaded from the cache by `reloadAvatars` when it opens again.
+ */
+function releaseAvatars() {
+    revokeObjectUrls();
+    searchSession.seen.forEach(character => character.url = '');
+}
+
+/**
+ * Puts the avatars of the rows in the list back into lazy loading, e.g. after the popup was reopened.
+ */
+function reloadAvatars() {
+    if (!characterListContainer) return;
+
+    characterListContainer.querySelectorAll('img.thumbnail').forEach(img => {
+        img.removeAttribute('src');
+        img.classList.add('lazy');
+    });
+    observeImages(true);
+}
+
+/**
+ * Maps the advanced search filters to query parameters. Empty filters are left out.
+ * @param {Object} [filters] - The filters, shaped like `defaultSettings.advancedFilters`.
+ * @returns {URLSearchParams} - The query parameters.
+ */
+function getAdvancedFilterParams(filters = defaultSettings.advancedFilters) {
+    const params = new URLSearchParams({
+        asc: String(filters.asc),
+        include_forks: String(filters.includeForks),
+        require_images: String(filters.requireImages),
+        require_custom_prompt: String(filters.requireCustomPrompt),
+    });
+
+    const optional = {
+        min_tokens: filters.minTokens,
+        max_tokens: filters.maxTokens,
+        min_rating: filters.minRating,
+        created_after: filters.createdAfter,
+        created_before: filters.createdBefore,
+        updated_after: filters.updatedAfter,
+        updated_before: filters.updatedBefore,
+    };
+    for (const [key, value] of Object.entries(optional)) {
+        if (value !== null && value !== undefined && value !== '') {
+            params.set(key, String(value));
+        }
     }
+
+    return params;
+}
+
+/**
+ * Shows the saved advanced filters in the filter panel.
+ */
+function syncAdvancedFilterInputs() {
+    const filters = getAdvancedFilters();
+    document.querySelectorAll('#advancedFilters [data-filter]').forEach(input => {
+        const key = input.getAttribute('data-filter');
+        if (input.type === 'checkbox') {
+            input.checked = filters[key];
+        } else {
+            input.value = filters[key] ?? '';
+        }
+    });
+}
+
+/**
+ * Gets a copy of the advanced filters saved in the settings.
+ * @returns {Object} - The filters.
+ */
+function getAdvancedFilters() {
+    return { ...defaultSettings.advancedFilters, ...extension_settings.chub.advancedFilters };
+}
+
+/**
+ * A search provider connects the popup to one card repository.
+ * Result objects carry the id of the provider they came from in `provider`.
+ * @typedef {Object} SearchProvider
+ * @property {string} id - Unique id, saved in the settings.
+ * @property {string} name - Name shown in the provider dropdown.
+ * @property {Object<string, string>} contentTypes - Supported content types and their labels.
+ * @property {Object<string, string>} sortOptions - Supported sort keys and their labels.
+ * @property {function(Object): Promise<Array>} search - Runs a search with the popup options, resolves with the raw result nodes.
+ *   The options include an AbortSignal in `signal` and an optional `author` to list one creator; failed responses must throw.
+ * @property {function(Object, string): Object} normalizeResult - Maps a raw node of a content type to a result object.
+ * @property {function(Object): Promise<Blob|null>} fetchAvatar - Resolves with the avatar image of a result object, or null if it has none.
+ * @property {function(string): Promise<Blob>} fetchCard - Resolves with the tavern PNG card of a character.
+ * @property {function(string): Promise<Object>} fetchInfo - Resolves with the result object of a single path, for update checks.
+ * @property {function(string, Object=): Promise<{file: File, contentType: string}>} download - Downloads a character or lorebook for import.
+ *   The options may name a `version` ref to download instead of the latest one.
+ * @property {function(Object): Promise<Array<{ref: string, date: string, message: string}>>} [fetchVersions] - Resolves with the version history of a character, newest first.
+ * @property {function(Object): Promise<Array<Object>>} [fetchForks] - Resolves with the forks of a character as result objects.
+ * @property {function(string): string} getCharacterUrl - The web page of a character or lorebook.
+ *   Called while rendering, so it must return an empty string instead of throwing when there is no page.
+ * @property {function(string): string} getProfileUrl - The web page of an author, with the same rule.
+ * @property {function(): Promise<Array<{name: string, count: number}>>} [fetchTags] - Resolves with the known tags and their usage counts, for autocomplete.
+ * @property {number} [tagQueryLimit] - How many characters of comma-joined tags the search accepts per list.
+ */
+
+/** @type {Map<string, SearchProvider>} */
+const searchProviders = new Map();
+
+/**
+ * Makes a search provider available in the provider dropdown.
+ * Other extensions can import this to add their own card repositories.
+ * @param {SearchProvider} provider - The provider to register. Replaces a provider with the same id.
+ */
+export function registerSearchProvider(provider) {
+    searchProviders.set(provider.id, provider);
+}
+
+/**
+ * Gets a registered provider, falling back to Chub.
+ * @param {string} [id] - The provider id.
+ * @returns {SearchProvider} - The provider.
+ */
+function getProvider(id) {
+    return searchProviders.get(id) ?? chubProvider;
+}
+
+/**
+ * Gets the provider selected in the popup.
+ * @returns {SearchProvider} - The active provider.
+ */
+function getActiveProvider() {
+    return getProvider(extension_settings.chub?.provider);
+}
+
+/**
+ * Finds the provider a character or lorebook path belongs to: the loaded result's provider,
+ * then the provider it was imported or favorited from, then the active one.
+ * @param {string} fullPath - The unique path/reference of the character or lorebook.
+ * @returns {SearchProvider} - The provider.
+ */
+function resolveProvider(fullPath) {
+    const id = findLoadedCharacter(fullPath)?.provider
+        ?? extension_settings.chub.trackedCharacters[fullPath]?.provider
+        ?? extension_settings.chub.importedLorebooks[fullPath]?.provider
+        ?? extension_settings.chub.favorites[fullPath]?.provider;
+    return id ? getProvider(id) : getActiveProvider();
 }
 
+/** @type {SearchProvider} */
+const chubProvider = {
+    id: 'chub',
+    name: 'Chub',
+    contentTypes: {
+        "characters": "Characters",
+        "lorebooks": "Lorebooks",
+    },
+    sortOptions: {
+        "download_count": "Download Count",
+        "id": "ID",
+        "rating": "Rating",
+        "default": "Default",
+        "rating_count": "Rating Count",
+        "last_activity_at": "Last Activity",
+        "trending_downloads": "Trending Downloads",
+        "created_at": "Creation Date",
+        "name": "Name",
+        "n_tokens": "Token Count",
+        "random": "Random"
+    },
+    tagQueryLimit: 100,
+
+    async search({ searchTerm, includeTags, excludeTags, nsfw, sort, page, first, contentType, filters, author, signal }) {
+        searchTerm = searchTerm ? `search=${encodeURIComponent(searchTerm)}&` : '';
+
+        // Construct the URL with the search parameters, if any
+        const endpoint = getApiUrl(contentType === 'lorebooks' ? API_ENDPOINT_LOREBOOK_SEARCH : API_ENDPOINT_SEARCH);
+        let url = `${endpoint}?${searchTerm}first=${first}&page=${page}&sort=${sort}&venus=true&nsfw=${nsfw}&${getAdvancedFilterParams(filters)}`;
+
+        // Chub only reads the first 100 characters, so send whole tags that fit; the popup warns about the rest
+        includeTags = fitTagsToLimit(includeTags, this.tagQueryLimit).kept;
+        if (includeTags.length > 0) {
+            url += `&tags=${encodeURIComponent(includeTags.join(','))}`;
+        }
+        excludeTags = fitTagsToLimit(excludeTags, this.tagQueryLimit).kept;
+        if (excludeTags.length > 0) {
+            url += `&exclude_tags=${encodeURIComponent(excludeTags.join(','))}`;
+        }
+        if (author) {
+            url += `&username=${encodeURIComponent(author)}`;
+        }
+
+        const searchResponse = await fetchWithRetry(url, { signal });
+        const searchData = await searchResponse.json();
+        if (!Array.isArray(searchData.nodes)) {
+            throw new Error('Unexpected search response from Chub');
+        }
+        return searchData.nodes;
+    },
+
+    normalizeResult(node, contentType = 'characters') {
+        const isLorebook = contentType === 'lorebooks';
+        // Lorebook paths get the prefix the importer expects, characters keep theirs as is
+        const fullPath = isLorebook && !node.fullPath.startsWith(LOREBOOK_PATH_PREFIX)
+            ? `${LOREBOOK_PATH_PREFIX}${node.fullPath}`
+            : node.fullPath;
+
+        return {
+            description: node.tagline || "Description here...",
+            name: node.name,
+            fullPath,
+            tags: node.topics,
+            author: isLorebook ? fullPath.split('/')[1] : fullPath.split('/')[0],
+            lastActivityAt: node.lastActivityAt,
+            createdAt: node.createdAt,
+            id: node.id,
+            // Only set for forks when the API reports where they came from
+            parentId: node.forked_from_id ?? node.forkedFromId ?? null,
+            type: isLorebook ? 'lorebook' : 'character',
+            relatedLorebooks: node.related_lorebooks || [],
+            avatarUrl: sanitizeUrl(node.avatar_url),
+            provider: this.id,
+        };
+    },
+
+    async fetchAvatar(character) {
+        // The listed avatar is a small image, unlike the full card from the download endpoint
+        if (character.type === 'lorebook') {
+            if (!character.avatarUrl) return null;
+            const response = await remoteFetch(character.avatarUrl);
+            if (!response.ok) {
+                console.log(`Avatar request failed for ${character.fullPath}: ${response.status}`);
+                return null;
+            }
+            return await response.blob();
+        }
+
+        const response = await remoteFetch(character.avatarUrl || getAvatarUrl(character.fullPath));
+        if (response.ok) {
+            return await response.blob();
+        }
+
+        console.log(`Avatar request failed for ${character.fullPath}, falling back to the card`);
+        return await this.fetchCard(character.fullPath);
+    },
+
+    /**
+     * Fetches a character by making an API call.
+     * 
+     * This sends a POST request to the API_ENDPOINT_DOWNLOAD with a provided character's fullPath. 
+     * It requests the character in the "tavern" format and the given version. Once the data is fetched, it 
+     * is converted to a blob before being returned.
+     * 
+     * @param {string} fullPath - The unique path/reference for the character to be fetched.
+     * @param {string} [version="main"] - The version ref, "main" being the latest.
+     * @returns {Promise<Blob>} - Resolves with a Blob of the fetched character data.
+     */
+    async fetchCard(fullPath, version = "main") {
+        let response = await remoteFetch(
+            getApiUrl(API_ENDPOINT_DOWNLOAD),
+            {
+                method: "POST",
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({
+                    fullPath: fullPath,
+                    format: "tavern",
+                    version: version
+                }),
+            }
+        );
+
+        // An older version can't come from the avatar, which is always the latest
+        if (!response.ok && version !== "main") {
+            throw new Error(`Download of version ${version} failed: ${response.status} ${response.statusText}`);
+        }
+
+        // If the request failed, try a backup endpoint - https://avatars.charhub.io/{fullPath}/avatar.webp
+        if (!response.ok) {
+            console.log(`Request failed for ${fullPath}, trying backup endpoint`);
+            response = await remoteFetch(
+                getAvatarUrl(fullPath),
+                {
+                    method: "GET",
+                    headers: {
+                        'Content-Type': 'application/json'
+                    },
+                }
+            );
+        }
+
+        // Error pages must not end up in the cache as avatars
+        if (!response.ok) {
+            throw new Error(`Card request failed for ${fullPath}: ${response.status} ${response.statusText}`);
+        }
+        let data = await response.blob();
+        return data;
+    },
+
+    async fetchInfo(fullPath) {
+        const response = await fetchWithRetry(getApiUrl(`${API_ENDPOINT_CHARACTER}/${fullPath}`));
+        const data = await response.json();
+        return this.normalizeResult(data.node);
+    },
+
+    async download(fullPath, { version = 'main' } = {}) {
+        // The SillyTavern importer always talks to api.chub.ai and only knows the latest version,
+        // so mirrors and older versions are downloaded from here
+        if (getApiUrl('') !== DEFAULT_API_BASE_URL || version !== 'main') {
+            return await this.downloadFromMirror(fullPath, version);
+        }
+
+        let request = null;
+        // try /api/content/import first and then /import_custom
+        request = await fetch('/api/content/importUUID', {
+            method: 'POST',
+            headers: getRequestHeaders(),
+            body: JSON.stringify({ url: fullPath }),
+        });
+        if (!request.ok) {  
+            request = await fetch('/import_custom', {
+                method: 'POST',
+                headers: getRequestHeaders(),
+                body: JSON.stringify({ url: fullPath }),
+            });
+        }
+
+        if (!request.ok) {
+            console.error('Custom content import failed', request.status, request.statusText);
+            throw new Error(`Import request failed: ${request.status} ${request.statusText}`);
+        }
+
+        const data = await request.blob();
+        const contentType = request.headers.get('X-Custom-Content-Type');
+        const fileName = request.headers.get('Content-Disposition').split('filename=')[1].replace(/"/g, '');
+        return { file: new File([data], fileName, { type: data.type }), contentType };
+    },
+
+    async downloadFromMirror(fullPath, version = 'main') {
+        const name = fullPath.split('/').pop();
+
+        if (fullPath.startsWith(LOREBOOK_PATH_PREFIX)) {
+            const response = await remoteFetch(getApiUrl(API_ENDPOINT_LOREBOOK_DOWNLOAD), {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ fullPath, format: 'SILLYTAVERN' }),
+            });
+            if (!response.ok) {
+                throw new Error(`Lorebook download failed: ${response.status} ${response.statusText}`);
+            }
+            const data = await response.blob();
+            return { file: new File([data], `${name}.json`, { type: 'application/json' }), contentType: 'lorebook' };
+        }
+
+        const data = await this.fetchCard(fullPath, version);
+        if (data.type !== 'image/png') {
+            throw new Error(`Card download failed: got ${data.type || 'no data'} instead of a PNG card`);
+        }
+        return { file: new File([data], `${name}.png`, { type: 'image/png' }), contentType: 'character' };
+    },
+
+    getCharacterUrl(fullPath) {
+        return fullPath.startsWith(LOREBOOK_PATH_PREFIX)
+            ? `${CHUB_SITE_URL}/${encodePath(fullPath)}`
+            : `${CHUB_SITE_URL}/characters/${encodePath(fullPath)}`;
+    },
+
+    getProfileUrl(author) {
+        return `${CHUB_SITE_URL}/users/${encodeURIComponent(author)}`;
+    },
+
+    async fetchTags() {
+        const response = await fetchWithRetry(getApiUrl(API_ENDPOINT_TAGS));
+        const data = await response.json();
+        return (data.tags || []).map(tag => ({
+            name: tag.name,
+            count: tag.non_private_projects_count ?? tag.count ?? 0,
+        }));
+    },
+
+    /**
+     * Characters are git projects on Chub, so their versions are the commits of the project.
+     * @param {Object} character - The result object, or at least its fullPath.
+     * @returns {Promise<Array<{ref: string, date: string, message: string}>>} - The versions, newest first.
+     */
+    async fetchVersions(character) {
+        const id = character.id ?? (await this.fetchInfo(character.fullPath)).id;
+        const response = await fetchWithRetry(getApiUrl(`${API_ENDPOINT_PROJECTS}/${id}/repository/commits`));
+        const commits = await response.json();
+        return commits.map(commit => ({
+            ref: commit.id,
+            date: commit.committed_date ?? commit.created_at,
+            message: commit.title ?? commit.message ?? '',
+        }));
+    },
+
+    async fetchForks(character) {
+        const id = character.id ?? (await this.fetchInfo(character.fullPath)).id;
+        const response = await fetchWithRetry(getApiUrl(`${API_ENDPOINT_PROJECTS}/${id}/forks`));
+        const forks = await response.json();
+        return forks.map(fork => ({
+            description: fork.description || '',
+            name: fork.name,
+            fullPath: fork.path_with_namespace,
+            tags: fork.topics || [],
+            author: fork.path_with_namespace.split('/')[0],
+            lastActivityAt: fork.last_activity_at,
+            createdAt: fork.created_at,
+            id: fork.id,
+            parentId: id,
+            type: 'character',
+            relatedLorebooks: [],
+            avatarUrl: '',
+            provider: this.id,
+        }));
+    },
+};
+
 /**
- * Generates a list of permutations for the given tags. The permutations include:
- * - Original tag.
- * - Tag in uppercase.
- * - Tag with the first letter in uppercase.
- * @param {Array<string>} tags - List of tags for which permutations are to be generated.
- * @returns {Array<string>} - A list containing all the tag permutations.
+ * A provider for a self-hosted card index at `extension_settings.chub.customIndexUrl`.
+ * The index is expected to serve:
+ * - `GET /search?search=&tags=&exclude_tags=&sort=&page=&first=&nsfw=&author=` plus the advanced filter
+ *   parameters of `getAdvancedFilterParams`, returning `{ nodes: [...] }`
+ *   with Chub-style nodes (`fullPath`, `name`, `tagline`, `topics`, `avatar_url`, `lastActivityAt`, `createdAt`)
+ * - `GET /characters/{fullPath}` returning `{ node }` for a single character
+ * - `GET /cards/{fullPath}.png` returning the tavern PNG card
+ * @type {SearchProvider}
  */
-function makeTagPermutations(tags) {
-    let permutations = [];
-    for (let tag of tags) {
-        if(tag) {
-            permutations.push(tag);
-            permutations.push(tag.toUpperCase());
-            permutations.push(tag[0].toUpperCase() + tag.slice(1));
+const selfHostedProvider = {
+    id: 'self-hosted',
+    name: 'Self-hosted index',
+    contentTypes: {
+        "characters": "Characters",
+    },
+    sortOptions: {
+        "default": "Default",
+        "name": "Name",
+        "created_at": "Creation Date",
+        "last_activity_at": "Last Activity",
+    },
+
+    getBaseUrl() {
+        const baseUrl = (extension_settings.chub.customIndexUrl || '').trim().replace(/\/+$/, '');
+        if (!baseUrl) {
+            throw new Error('No self-hosted index URL is set');
+        }
+        return baseUrl;
+    },
+
+    async search({ searchTerm, includeTags, excludeTags, nsfw, sort, page, first, filters, author, signal }) {
+        const params = new URLSearchParams({ search: searchTerm || '', sort, page, first, nsfw, ...Object.fromEntries(getAdvancedFilterParams(filters)) });
+        if (includeTags.length > 0) params.set('tags', includeTags.join(','));
+        if (excludeTags.length > 0) params.set('exclude_tags', excludeTags.join(','));
+        if (author) params.set('author', author);
+
+        const response = await fetchWithRetry(`${this.getBaseUrl()}/search?${params}`, { signal });
+        const data = await response.json();
+        if (!Array.isArray(data.nodes)) {
+            throw new Error('Unexpected search response from the index');
+        }
+        return data.nodes;
+    },
+
+    normalizeResult(node) {
+        return {
+            description: node.tagline || node.description || "Description here...",
+            name: node.name,
+            fullPath: node.fullPath,
+            tags: node.topics || node.tags || [],
+            author: node.author || node.fullPath.split('/')[0],
+            lastActivityAt: node.lastActivityAt,
+            createdAt: node.createdAt,
+            id: node.id,
+            type: 'character',
+            relatedLorebooks: [],
+            avatarUrl: node.avatar_url ? sanitizeUrl(new URL(node.avatar_url, `${this.getBaseUrl()}/`).href) : '',
+            provider: this.id,
+        };
+    },
+
+    async fetchAvatar(character) {
+        if (!character.avatarUrl) {
+            return await this.fetchCard(character.fullPath);
+        }
+        const response = await remoteFetch(character.avatarUrl);
+        if (!response.ok) {
+            console.log(`Avatar request failed for ${character.fullPath}: ${response.status}`);
+            return null;
+        }
+        return await response.blob();
+    },
+
+    async fetchCard(fullPath) {
+        const response = await remoteFetch(`${this.getBaseUrl()}/cards/${fullPath}.png`);
+        if (!response.ok) {
+            throw new Error(`Card request failed: ${response.status} ${response.statusText}`);
+        }
+        return await response.blob();
+    },
+
+    async fetchInfo(fullPath) {
+        const response = await remoteFetch(`${this.getBaseUrl()}/characters/${fullPath}`);
+        if (!response.ok) {
+            throw new Error(`Character info request failed: ${response.status} ${response.statusText}`);
+        }
+        const data = await response.json();
+        return this.normalizeResult(data.node ?? data);
+    },
+
+    async download(fullPath) {
+        const blob = await this.fetchCard(fullPath);
+        const file = new File([blob], `${fullPath.split('/').pop()}.png`, { type: 'image/png' });
+        return { file, contentType: 'character' };
+    },
+
+    hasBaseUrl() {
+        return Boolean((extension_settings.chub.customIndexUrl || '').trim());
+    },
+
+    getCharacterUrl(fullPath) {
+        return this.hasBaseUrl() ? `${this.getBaseUrl()}/characters/${encodePath(fullPath)}` : '';
+    },
+
+    getProfileUrl(author) {
+        return this.hasBaseUrl() ? `${this.getBaseUrl()}/users/${encodeURIComponent(author)}` : '';
+    },
+};
+
+registerSearchProvider(chubProvider);
+registerSearchProvider(selfHostedProvider);
+
+/**
+ * Asynchronously loads settings from `extension_settings.chub`, 
+ * filling in with default settings if some are missing.
+ * 
+ * After loading the settings, it also updates the UI components 
+ * with the appropriate values from the loaded settings.
+ */
+async function loadSettings() {
+    // Ensure extension_settings.timeline exists
+    if (!extension_settings.chub) {
+        console.log("Creating extension_settings.chub");
+        extension_settings.chub = {};
+    }
+
+    // Check and merge each default setting if it doesn't exist
+    for (const [key, value] of Object.entries(defaultSettings)) {
+        if (!extension_settings.chub.hasOwnProperty(key)) {
+            console.log(`Setting default for: ${key}`);
+            // Clone so objects and arrays in the defaults are never shared with the saved settings
+            extension_settings.chub[key] = structuredClone(value);
+        }
+    }
+
+    performance_monitoring.enabled = Boolean(extension_settings.chub.debugLogging);
+}
+
+// Settings shown in the Extensions drawer, and the only ones its reset button touches
+const DRAWER_SETTING_KEYS = ['findCount', 'defaultSort', 'nsfw', 'showFullDescriptions', 'viewMode', 'thumbnailSize', 'debugLogging'];
+
+/**
+ * Fills the settings drawer with the current values of `extension_settings.chub`.
+ */
+function renderSettingsPanel() {
+    const settings = extension_settings.chub;
+    $('#chubFindCount').val(settings.findCount);
+    $('#chubDefaultSort').val(settings.defaultSort);
+    $('#chubDefaultNsfw').prop('checked', settings.nsfw);
+    $('#chubShowFullDescriptions').prop('checked', settings.showFullDescriptions);
+    $('#chubDefaultView').val(settings.viewMode);
+    $('#chubThumbnailSize').val(settings.thumbnailSize);
+    $('#chubThumbnailSizeValue').text(settings.thumbnailSize);
+    $('#chubDebugLogging').prop('checked', settings.debugLogging);
+}
+
+/**
+ * Adds the settings drawer to the Extensions panel and saves its changes.
+ * The search defaults are read when the popup is first built, the display settings apply right away.
+ */
+async function setupSettingsPanel() {
+    const settingsHtml = await $.get(new URL('settings.html', extensionFolderPath).href);
+    $('#extensions_settings').append(settingsHtml);
+
+    // Every provider's sort keys, a default the active provider doesn't know falls back to its first one
+    const sortOptions = Object.assign({}, ...Array.from(searchProviders.values()).map(provider => provider.sortOptions));
+    $('#chubDefaultSort').html(Object.entries(sortOptions).map(([key, label]) => `<option value="${escapeHtml(key)}">${escapeHtml(label)}</option>`).join(''));
+    renderSettingsPanel();
+
+    $('#chubFindCount').on('change', function () {
+        const findCount = Math.round(Number($(this).val()));
+        extension_settings.chub.findCount = Number.isFinite(findCount) ? Math.min(100, Math.max(1, findCount)) : defaultSettings.findCount;
+        $(this).val(extension_settings.chub.findCount);
+        saveSettingsDebounced();
+    });
+    $('#chubDefaultSort').on('change', function () {
+        extension_settings.chub.defaultSort = String($(this).val());
+        saveSettingsDebounced();
+    });
+    $('#chubDefaultNsfw').on('input', function () {
+        extension_settings.chub.nsfw = $(this).prop('checked');
+        saveSettingsDebounced();
+    });
+    $('#chubShowFullDescriptions').on('input', function () {
+        extension_settings.chub.showFullDescriptions = $(this).prop('checked');
+        saveSettingsDebounced();
+    });
+    $('#chubDefaultView').on('change', function () {
+        extension_settings.chub.viewMode = String($(this).val());
+        saveSettingsDebounced();
+        $('#viewMode').val(extension_settings.chub.viewMode);
+        applyViewMode();
+    });
+    $('#chubThumbnailSize').on('input', function () {
+        extension_settings.chub.thumbnailSize = Number($(this).val());
+        $('#chubThumbnailSizeValue').text(extension_settings.chub.thumbnailSize);
+        saveSettingsDebounced();
+        applyViewMode();
+    });
+    $('#chubDebugLogging').on('input', function () {
+        extension_settings.chub.debugLogging = $(this).prop('checked');
+        performance_monitoring.enabled = extension_settings.chub.debugLogging;
+        saveSettingsDebounced();
+    });
+    $('#chubResetSettings').on('click', function () {
+        for (const key of DRAWER_SETTING_KEYS) {
+            extension_settings.chub[key] = structuredClone(defaultSettings[key]);
+        }
+        performance_monitoring.enabled = extension_settings.chub.debugLogging;
+        saveSettingsDebounced();
+        renderSettingsPanel();
+        $('#viewMode').val(extension_settings.chub.viewMode);
+        applyViewMode();
+        toastr.info('Search and display settings reset to their defaults');
+    });
+}
+
+/**
+ * Downloads a custom character based on the provided URL.
+ * @param {string} input - A string containing the URL of the character to be downloaded.
+ * @param {Object} [options] - Import options.
+ * @param {string} [options.preserveFileName] - Avatar file name of an installed character to overwrite instead of importing a new copy.
+ * @param {{ref: string, date: string}} [options.version] - An older version to import instead of the latest one.
+ * @param {boolean} [options.startChat] - Whether to open a chat with the imported character. Defaults to the import option.
+ * @param {SearchProvider} [options.provider] - The provider to import from. Defaults to the one the path belongs to, see `resolveProvider`.
+ * @returns {Promise<string>} - Resolves with the avatar file name of the imported character, or the World Info name of a lorebook.
+ * @throws {Error} - If the download fails or the content type is not supported.
+ */
+async function downloadCharacter(input, { preserveFileName = null, version = null, startChat = extension_settings.chub.importPipeline.startChat, provider = resolveProvider(input.trim()) } = {}) {
+    const url = input.trim();
+    console.debug('Custom content import started', url, provider.id);
+
+    let imported;
+    let customContentType;
+    try {
+        const download = await provider.download(url, version ? { version: version.ref } : {});
+        const file = download.file;
+        customContentType = download.contentType;
+
+        switch (customContentType) {
+            case 'character': {
+                const avatar = await addCardToLibrary(file, preserveFileName);
+                await trackImportedCharacter(url, avatar, provider, version?.date);
+                await applyImportMetadata(url, avatar, provider, { startChat });
+                imported = avatar;
+                break;
+            }
+            case 'lorebook':
+                imported = await importLorebook(file, url, provider);
+                break;
+            default:
+                console.error('Unknown content type', customContentType);
+                throw new Error(`Unknown content type: ${customContentType}`);
+        }
+    } catch (error) {
+        recordImport({ fullPath: url, provider, type: customContentType, replaced: Boolean(preserveFileName), version, error });
+        throw error;
+    }
+
+    recordImport({ fullPath: url, provider, type: customContentType, replaced: Boolean(preserveFileName), version, result: imported });
+    refreshLibraryStatus();
+    return imported;
+}
+
+/**
+ * Hands a downloaded card to SillyTavern and finds the avatar it was saved under.
+ * `processDroppedFiles` doesn't return the new avatar, so it is found by comparing the library
+ * before and after; the imports run one at a time so a parallel one can't be mistaken for this one.
+ * Only this step is serialized, the downloads of the import queue still run side by side.
+ * @param {File} file - The PNG card.
+ * @param {string|null} preserveFileName - Avatar file name of an installed character to overwrite, if any.
+ * @returns {Promise<string>} - The avatar file name of the imported character.
+ * @throws {Error} - If the character didn't show up in the library.
+ */
+function addCardToLibrary(file, preserveFileName) {
+    const task = libraryImportLock.then(async () => {
+        const knownAvatars = new Set(characters.map(character => character.avatar));
+        // A preserved name makes the server overwrite the existing card instead of adding a copy
+        await processDroppedFiles([file], preserveFileName ? new Map([[file, preserveFileName]]) : new Map());
+
+        const avatar = preserveFileName || characters.find(character => !knownAvatars.has(character.avatar))?.avatar;
+        if (!avatar) {
+            throw new Error('The character was not added to the library');
+        }
+        return avatar;
+    });
+    // A failed import must not block the ones waiting behind it
+    libraryImportLock = task.catch(() => {});
+    return task;
+}
+
+/**
+ * Runs the import options on a freshly imported character: Chub topics become tags,
+ * the source is stored in the card and a chat can be opened with it.
+ * Failures here are logged but don't fail the import, the character is already in the library.
+ * @param {string} fullPath - The path that was imported.
+ * @param {string} avatar - The avatar file name of the imported character.
+ * @param {SearchProvider} provider - The provider it was imported from.
+ * @param {Object} [options]
+ * @param {boolean} [options.startChat=false] - Whether to open a chat with the character.
+ * @returns {Promise<void>}
+ */
+async function applyImportMetadata(fullPath, avatar, provider, { startChat = false } = {}) {
+    const pipeline = extension_settings.chub.importPipeline;
+    const chid = characters.findIndex(character => character.avatar === avatar);
+    if (chid === -1) return;
+
+    let info = findLoadedCharacter(fullPath) ?? extension_settings.chub.favorites[fullPath];
+    if (!info && (pipeline.applyTags || pipeline.storeSource)) {
+        try {
+            info = await provider.fetchInfo(fullPath);
+        } catch (error) {
+            console.warn(`Could not fetch the metadata of ${fullPath}`, error);
+        }
+    }
+
+    try {
+        if (pipeline.storeSource) {
+            await writeExtensionField(chid, 'chub', {
+                ...characters[chid].data?.extensions?.chub,
+                full_path: fullPath,
+                source_url: provider.getCharacterUrl(fullPath),
+                author: info?.author ?? fullPath.split('/')[0],
+                provider: provider.id,
+                imported_at: new Date().toISOString(),
+            });
+        }
+
+        if (pipeline.applyTags && info?.tags?.length > 0) {
+            const applied = applyChubTags(avatar, info.tags);
+            console.debug(`Applied ${applied} tag(s) to ${avatar}`);
+            printCharactersDebounced();
+        }
+    } catch (error) {
+        console.error(`Failed to apply the Chub metadata to ${avatar}`, error);
+        toastr.warning('The character was imported, but its tags or source could not be saved', 'Chub Search');
+    }
+
+    if (startChat) {
+        await selectCharacterById(String(chid));
+    }
+}
+
+/**
+ * Adds Chub topics to a character as SillyTavern tags, after the mapping and ignore list of the import options.
+ * @param {string} avatar - The avatar file name of the character.
+ * @param {Array<string>} topics - The Chub topics.
+ * @returns {number} - How many tags were added.
+ */
+function applyChubTags(avatar, topics) {
+    const { tagMapping, ignoredTags, createMissingTags } = extension_settings.chub.importPipeline;
+    const ignored = new Set(ignoredTags.map(tag => tag.toLowerCase()));
+
+    const names = new Set();
+    for (const topic of topics.map(topic => String(topic).trim()).filter(Boolean)) {
+        const key = topic.toLowerCase();
+        const name = Object.hasOwn(tagMapping, key) ? tagMapping[key] : topic;
+        if (name && !ignored.has(key)) {
+            names.add(name);
+        }
+    }
+
+    let applied = 0;
+    for (const name of names) {
+        let tag = tags.find(tag => tag.name.toLowerCase() === name.toLowerCase());
+        if (!tag) {
+            if (!createMissingTags) continue;
+            tag = createNewTag(name);
+        }
+        if (addTagsToEntity(tag, avatar)) {
+            applied++;
+        }
+    }
+    return applied;
+}
+
+/**
+ * Reads the tag mapping of the import options from its text form, one `topic = tag` per line.
+ * @param {string} text - The mapping text.
+ * @returns {Object<string, string>} - Lowercased topic -> tag name.
+ */
+function parseTagMapping(text) {
+    const mapping = {};
+    for (const line of text.split('\n')) {
+        const separator = line.indexOf('=');
+        if (separator === -1) continue;
+        const topic = line.slice(0, separator).trim().toLowerCase();
+        if (topic) {
+            mapping[topic] = line.slice(separator + 1).trim();
+        }
+    }
+    return mapping;
+}
+
+/**
+ * Adds an import attempt to the import history.
+ * @param {Object} attempt
+ * @param {string} attempt.fullPath - The path that was imported.
+ * @param {SearchProvider} attempt.provider - The provider it was imported from.
+ * @param {string} [attempt.type] - The content type, if the download got that far.
+ * @param {boolean} attempt.replaced - Whether an installed character was overwritten.
+ * @param {{ref: string, date: string}} [attempt.version] - The older version that was imported, if not the latest.
+ * @param {string} [attempt.result] - The avatar file name or World Info name of a successful import.
+ * @param {Error} [attempt.error] - Why the import failed.
+ */
+function recordImport({ fullPath, provider, type, replaced, version = null, result = null, error = null }) {
+    const known = findLoadedCharacter(fullPath) ?? extension_settings.chub.favorites[fullPath] ?? extension_settings.chub.trackedCharacters[fullPath];
+    const installedName = type === 'character' && result ? characters.find(character => character.avatar === result)?.name : result;
+
+    extension_settings.chub.importHistory.unshift({
+        timestamp: new Date().toISOString(),
+        fullPath,
+        name: installedName || known?.name || fullPath.split('/').pop(),
+        // Chub has no version numbers, so the date of the imported copy stands in for one
+        version: version?.date ?? known?.lastActivityAt ?? null,
+        type: type ?? (fullPath.startsWith(LOREBOOK_PATH_PREFIX) ? 'lorebook' : 'character'),
+        provider: provider.id,
+        outcome: error ? 'failed' : (replaced ? 'replaced' : 'imported'),
+        result,
+        error: error ? error.message : null,
+    });
+    extension_settings.chub.importHistory.length = Math.min(extension_settings.chub.importHistory.length, IMPORT_HISTORY_LIMIT);
+    saveSettingsDebounced();
+    renderImportHistory();
+}
+
+/**
+ * Finds the SillyTavern character that was imported from a search result.
+ * Matches on our own import tracking first, then on the Chub path stored in the card, then on name and creator.
+ * @param {Object} character - The character from the search results.
+ * @returns {Object|undefined} - The installed SillyTavern character, if any.
+ */
+function findInstalledCharacter(character) {
+    const tracked = extension_settings.chub.trackedCharacters[character.fullPath];
+    const byTracking = tracked && characters.find(installed => installed.avatar === tracked.avatar);
+    if (byTracking) {
+        return byTracking;
+    }
+
+    const fullPath = character.fullPath.toLowerCase();
+    const byPath = characters.find(installed => installed.data?.extensions?.chub?.full_path?.toLowerCase() === fullPath);
+    if (byPath) {
+        return byPath;
+    }
+
+    const name = (character.name || '').toLowerCase();
+    const author = (character.author || '').toLowerCase();
+    return characters.find(installed =>
+        installed.name?.toLowerCase() === name &&
+        (installed.data?.creator || '').toLowerCase() === author);
+}
+
+/**
+ * Checks whether the Chub copy of a character was changed after the installed copy was added.
+ * @param {Object} character - The character from the search results.
+ * @param {Object} installed - The installed SillyTavern character.
+ * @returns {boolean} - True if the Chub copy is newer.
+ */
+function isUpdateAvailable(character, installed) {
+    const upstream = Date.parse(character.lastActivityAt);
+    const tracked = extension_settings.chub.trackedCharacters[character.fullPath];
+    // Prefer the upstream timestamp recorded at import time over the local file date
+    const local = tracked?.lastActivityAt
+        ? Date.parse(tracked.lastActivityAt)
+        : Number(installed.date_added) || Date.parse(installed.create_date);
+    return !isNaN(upstream) && !isNaN(local) && upstream > local;
+}
+
+/**
+ * Generates the "Installed" / "Update available" badge for a result row.
+ * @param {Object} character - The character from the search results.
+ * @returns {string} - The badge HTML, or an empty string if the character isn't installed.
+ */
+function generateLibraryStatus(character) {
+    if (character.type === 'lorebook') {
+        const imported = extension_settings.chub.importedLorebooks[character.fullPath];
+        return imported && world_names.includes(imported.worldName)
+            ? '<span class="library-badge installed" title="Already in your World Info">Installed</span>'
+            : '';
+    }
+
+    const installed = findInstalledCharacter(character);
+    if (!installed) {
+        return '';
+    }
+
+    if (!isUpdateAvailable(character, installed)) {
+        return '<span class="library-badge installed" title="Already in your library">Installed</span>';
+    }
+
+    return `
+        <span class="library-badge update" title="The Chub copy is newer than yours">Update available</span>
+        <span role="button" tabindex="0" class="menu_button update-replace-btn" data-path="${escapeHtml(character.fullPath)}" data-avatar="${escapeHtml(installed.avatar)}" title="Overwrite your copy with the Chub version">Replace</span>
+        <span role="button" tabindex="0" class="menu_button update-copy-btn" data-path="${escapeHtml(character.fullPath)}" title="Import the Chub version next to your copy">Import as copy</span>
+    `;
+}
+
+/**
+ * Re-renders the library badges of every row in the list and the favorites, e.g. after an import.
+ */
+function refreshLibraryStatus() {
+    if (!characterListContainer) return;
+
+    characterListContainer.querySelectorAll('.character-list-item').forEach(row => {
+        const character = findLoadedCharacter(row.getAttribute('data-path'));
+        const status = row.querySelector('.library-status');
+        if (character && status) {
+            status.innerHTML = generateLibraryStatus(character);
+        }
+    });
+    document.querySelectorAll('#favorites-panel .favorite-item').forEach(row => {
+        const favorite = extension_settings.chub.favorites[row.getAttribute('data-path')];
+        const status = row.querySelector('.library-status');
+        if (favorite && status) {
+            status.innerHTML = generateLibraryStatus(favorite);
+        }
+    });
+}
+
+/**
+ * Records where an imported character came from so it can be checked for updates later.
+ * @param {string} fullPath - The unique path/reference for the character.
+ * @param {string} avatar - The avatar file name of the imported SillyTavern character.
+ * @param {SearchProvider} provider - The provider the character was imported from.
+ * @param {string} [versionDate] - The date of the version, when an older one was imported, so it shows as outdated.
+ * @returns {Promise<void>} - Resolves once the record is saved.
+ */
+async function trackImportedCharacter(fullPath, avatar, provider, versionDate) {
+    const loaded = findLoadedCharacter(fullPath);
+    let name = loaded?.name;
+    let lastActivityAt = loaded?.lastActivityAt;
+    let relatedLorebooks = loaded?.relatedLorebooks;
+
+    if (!lastActivityAt) {
+        try {
+            const info = await provider.fetchInfo(fullPath);
+            name = info.name;
+            lastActivityAt = info.lastActivityAt;
+            relatedLorebooks = info.relatedLorebooks;
+        } catch (error) {
+            console.warn(`Could not fetch version info for ${fullPath}`, error);
+        }
+    }
+
+    extension_settings.chub.trackedCharacters[fullPath] = {
+        fullPath,
+        name: name || fullPath.split('/').pop(),
+        avatar,
+        lastActivityAt: versionDate || lastActivityAt || null,
+        importedAt: new Date().toISOString(),
+        relatedLorebooks: relatedLorebooks || [],
+        provider: provider.id,
+    };
+    saveSettingsDebounced();
+
+    // Link a lorebook of this character that was imported earlier
+    const lorebook = Object.values(extension_settings.chub.importedLorebooks)
+        .find(entry => (relatedLorebooks || []).includes(entry.id) && world_names.includes(entry.worldName));
+    if (lorebook) {
+        await attachLorebook(avatar, lorebook.worldName);
+    }
+
+    // A fresh import is up to date by definition
+    availableUpdates = availableUpdates.filter(update => update.fullPath !== fullPath);
+    renderUpdatesPanel();
+}
+
+/**
+ * Imports a downloaded lorebook into World Info and links it to the imported characters that use it.
+ * @param {File} file - The lorebook JSON file.
+ * @param {string} fullPath - The lorebook path, including the `lorebooks/` prefix.
+ * @param {SearchProvider} provider - The provider the lorebook was imported from.
+ * @returns {Promise<string>} - Resolves with the World Info name once the lorebook shows up in the list.
+ * @throws {Error} - If the lorebook did not appear in World Info.
+ */
+async function importLorebook(file, fullPath, provider) {
+    const worldName = file.name.replace(/\.[^.]+$/, '');
+    await importWorldInfo(file);
+
+    // importWorldInfo doesn't wait for the upload, so wait for the list to update
+    try {
+        await waitUntilCondition(() => world_names.includes(worldName), 10000, 100);
+    } catch {
+        throw new Error(`Lorebook "${worldName}" was not added to World Info`);
+    }
+
+    const loaded = findLoadedCharacter(fullPath);
+    extension_settings.chub.importedLorebooks[fullPath] = {
+        fullPath,
+        id: loaded?.id ?? null,
+        worldName,
+        importedAt: new Date().toISOString(),
+        provider: provider.id,
+    };
+    saveSettingsDebounced();
+
+    if (loaded?.id === undefined) {
+        return worldName;
+    }
+
+    const linkedCharacters = Object.values(extension_settings.chub.trackedCharacters)
+        .filter(entry => (entry.relatedLorebooks || []).includes(loaded.id));
+    for (const entry of linkedCharacters) {
+        await attachLorebook(entry.avatar, worldName);
+    }
+    return worldName;
+}
+
+/**
+ * Sets a lorebook as the primary World Info of a character, unless it already has one.
+ * @param {string} avatar - The avatar file name of the SillyTavern character.
+ * @param {string} worldName - The name of the World Info to attach.
+ * @returns {Promise<void>} - Resolves once the character has been saved.
+ */
+async function attachLorebook(avatar, worldName) {
+    const characterId = characters.findIndex(character => character.avatar === avatar);
+    if (characterId === -1) {
+        return;
+    }
+
+    const character = characters[characterId];
+    if (character.data?.extensions?.world) {
+        console.log(`${character.name} already has lorebook ${character.data.extensions.world}, not attaching ${worldName}`);
+        return;
+    }
+
+    await writeExtensionField(characterId, 'world', worldName);
+    toastr.success(`Attached lorebook "${worldName}" to ${character.name}`);
+}
+
+/**
+ * Queries Chub for every tracked character and collects the ones that changed upstream.
+ * Tracked characters that were deleted from SillyTavern are skipped.
+ * @returns {Promise<Array>} - Resolves with the list of available updates.
+ */
+async function checkForUpdates() {
+    if (isCheckingUpdates) {
+        console.log('Update check already running');
+        return availableUpdates;
+    }
+
+    const timeStart = performance.now();
+    isCheckingUpdates = true;
+    renderUpdatesPanel();
+
+    const updates = [];
+    const tracked = Object.values(extension_settings.chub.trackedCharacters)
+        .filter(entry => characters.some(character => character.avatar === entry.avatar));
+
+    try {
+        for (const entry of tracked) {
+            try {
+                const info = await getProvider(entry.provider).fetchInfo(entry.fullPath);
+                const upstream = Date.parse(info.lastActivityAt);
+                const local = Date.parse(entry.lastActivityAt);
+                if (!isNaN(upstream) && (isNaN(local) || upstream > local)) {
+                    updates.push({ ...entry, upstreamActivityAt: info.lastActivityAt });
+                }
+            } catch (error) {
+                console.warn(`Update check failed for ${entry.fullPath}`, error);
+            }
+        }
+    } finally {
+        isCheckingUpdates = false;
+    }
+
+    availableUpdates = updates;
+    renderUpdatesPanel();
+    performance_monitoring.log(`Update check of ${tracked.length} characters`, timeStart);
+    return availableUpdates;
+}
+
+/**
+ * Redraws the list of available updates, if the popup is open.
+ */
+function renderUpdatesPanel() {
+    const panel = document.getElementById('updates-panel');
+    if (!panel) return;
+
+    const button = document.getElementById('checkUpdatesButton');
+    if (button) {
+        button.classList.toggle('disabled', isCheckingUpdates);
+        button.textContent = isCheckingUpdates ? 'Checking...' : 'Check for updates';
+    }
+
+    if (availableUpdates.length === 0) {
+        panel.style.display = 'none';
+        return;
+    }
+
+    panel.style.display = 'block';
+    panel.innerHTML = `
+        <b>Updates available (${availableUpdates.length})</b>
+        ${availableUpdates.map(update => `
+            <div class="update-item flex-container flex-no-wrap flex-align-center">
+                <span class="update-name">${escapeHtml(update.name)}</span>
+                <span class="update-date">updated ${new Date(update.upstreamActivityAt).toLocaleDateString()}</span>
+                <div role="button" tabindex="0" class="menu_button update-reimport-btn" data-path="${escapeHtml(update.fullPath)}">Re-import</div>
+            </div>
+        `).join('')}
+    `;
+}
+
+/**
+ * Re-imports a tracked character over the installed copy.
+ * @param {string} fullPath - The unique path/reference for the character.
+ * @returns {Promise<void>} - Resolves once the character has been re-imported.
+ */
+async function reimportTrackedCharacter(fullPath) {
+    const tracked = extension_settings.chub.trackedCharacters[fullPath];
+    const installed = tracked && characters.some(character => character.avatar === tracked.avatar);
+    await downloadCharacter(fullPath, { preserveFileName: installed ? tracked.avatar : null });
+}
+
+/**
+ * Shows the failure toast for a single import, linking to the character page.
+ * @param {string} fullPath - The path of the character that failed to import.
+ * @param {Error} error - The error thrown by `downloadCharacter`.
+ */
+function notifyImportFailure(fullPath, error) {
+    console.error(`Import of ${fullPath} failed:`, error);
+    const pageUrl = sanitizeUrl(resolveProvider(fullPath).getCharacterUrl(fullPath));
+    if (!pageUrl) {
+        toastr.error(error.message, 'Custom content import failed');
+        return;
+    }
+    toastr.info("Click to go to the character page", 'Custom content import failed', {onclick: () => window.open(pageUrl, '_blank') });
+}
+
+/**
+ * Adds characters to the import queue and starts processing it.
+ * Characters that are already queued or importing are skipped.
+ * @param {Array<{fullPath: string, name: string}>} characters - The characters to import.
+ */
+function enqueueImports(characters) {
+    const pending = new Set(importQueue.items
+        .filter(item => item.status === 'queued' || item.status === 'importing')
+        .map(item => item.fullPath));
+
+    // Drop finished entries from a previous batch before starting a new one
+    if (importQueue.active === 0) {
+        importQueue.items = importQueue.items.filter(item => item.status === 'queued');
+    }
+
+    for (const character of characters) {
+        if (pending.has(character.fullPath)) {
+            console.log(`Skipping ${character.fullPath}, already in the import queue`);
+            continue;
+        }
+        importQueue.items.push({ fullPath: character.fullPath, name: character.name, status: 'queued', error: null });
+        pending.add(character.fullPath);
+    }
+
+    importQueue.summaryShown = false;
+    renderImportQueue();
+    pumpImportQueue();
+}
+
+/**
+ * Starts queued imports until the concurrency limit is reached.
+ * Shows the summary once nothing is left queued or importing.
+ */
+function pumpImportQueue() {
+    while (importQueue.active < IMPORT_CONCURRENCY) {
+        const item = importQueue.items.find(item => item.status === 'queued');
+        if (!item) break;
+
+        importQueue.active++;
+        item.status = 'importing';
+        renderImportQueue();
+
+        // A batch shouldn't jump from chat to chat
+        downloadCharacter(item.fullPath, { startChat: false })
+            .then(() => {
+                item.status = 'done';
+            })
+            .catch(error => {
+                console.error(`Queued import of ${item.fullPath} failed:`, error);
+                item.status = 'failed';
+                item.error = error.message;
+            })
+            .finally(() => {
+                importQueue.active--;
+                renderImportQueue();
+                pumpImportQueue();
+            });
+    }
+
+    if (importQueue.active === 0 && !importQueue.summaryShown) {
+        importQueue.summaryShown = true;
+        showImportSummary();
+    }
+}
+
+/**
+ * Puts every failed import back into the queue.
+ */
+function retryFailedImports() {
+    const failed = importQueue.items.filter(item => item.status === 'failed');
+    if (failed.length === 0) return;
+
+    failed.forEach(item => {
+        item.status = 'queued';
+        item.error = null;
+    });
+    importQueue.summaryShown = false;
+    renderImportQueue();
+    pumpImportQueue();
+}
+
+/**
+ * Cancels every import that has not started yet. Running imports are left to finish.
+ */
+function cancelPendingImports() {
+    importQueue.items
+        .filter(item => item.status === 'queued')
+        .forEach(item => item.status = 'cancelled');
+    renderImportQueue();
+    pumpImportQueue();
+}
+
+/**
+ * Counts the queue items by status.
+ * @returns {Object<string, number>} - The number of items for each status.
+ */
+function getImportQueueCounts() {
+    const counts = { queued: 0, importing: 0, done: 0, failed: 0, cancelled: 0 };
+    importQueue.items.forEach(item => counts[item.status]++);
+    return counts;
+}
+
+/**
+ * Shows the end-of-batch summary toast.
+ */
+function showImportSummary() {
+    const counts = getImportQueueCounts();
+    const summary = `Imported ${counts.done}, failed ${counts.failed}, cancelled ${counts.cancelled}`;
+    console.log('Import queue finished:', summary);
+
+    if (counts.failed > 0) {
+        toastr.warning(summary, 'Batch import finished');
+    } else {
+        toastr.success(summary, 'Batch import finished');
+    }
+}
+
+/**
+ * Redraws the import queue progress panel, if the popup is open.
+ */
+function renderImportQueue() {
+    const panel = document.getElementById('import-queue-panel');
+    if (!panel) return;
+
+    if (importQueue.items.length === 0) {
+        panel.style.display = 'none';
+        return;
+    }
+
+    const counts = getImportQueueCounts();
+    const finished = counts.done + counts.failed + counts.cancelled;
+    const total = importQueue.items.length;
+    const statusIcons = {
+        queued: 'fa-clock',
+        importing: 'fa-spinner fa-spin',
+        done: 'fa-check',
+        failed: 'fa-xmark',
+        cancelled: 'fa-ban',
+    };
+
+    panel.style.display = 'block';
+    panel.querySelector('.import-queue-progress').textContent = `${finished} / ${total}`;
+    panel.querySelector('.import-queue-bar-fill').style.width = `${(finished / total) * 100}%`;
+    panel.querySelector('.import-queue-summary').textContent = importQueue.active === 0 && counts.queued === 0
+        ? `Done: ${counts.done} imported, ${counts.failed} failed, ${counts.cancelled} cancelled`
+        : '';
+    panel.querySelector('#importQueueRetry').style.display = counts.failed > 0 ? '' : 'none';
+    panel.querySelector('#importQueueCancel').style.display = counts.queued > 0 ? '' : 'none';
+
+    panel.querySelector('.import-queue-items').innerHTML = importQueue.items.map(item => `
+        <div class="import-queue-item ${item.status}" title="${escapeHtml(item.error || item.status)}">
+            <i class="fa-solid ${statusIcons[item.status]}"></i>
+            <span class="import-queue-name">${escapeHtml(item.name || item.fullPath)}</span>
+            <span class="import-queue-status">${item.status}</span>
+        </div>
+    `).join('');
+}
+
+/**
+ * Updates the "Import Selected" button label and the "select all" checkbox with the current selection.
+ */
+function updateSelectionControls() {
+    const button = document.getElementById('importSelectedButton');
+    if (button) {
+        button.textContent = `Import Selected (${selectedCharacters.size})`;
+        button.classList.toggle('disabled', selectedCharacters.size === 0);
+    }
+
+    const selectAll = document.getElementById('selectAllOnPage');
+    if (selectAll && characterListContainer) {
+        const boxes = getSelectableBoxes();
+        selectAll.checked = boxes.length > 0 && boxes.every(box => box.checked);
+    }
+}
+
+/**
+ * Gets the batch import checkboxes of the rows that are shown, so hidden blocked results are never selected in bulk.
+ * @returns {Array<HTMLInputElement>} - The checkboxes.
+ */
+function getSelectableBoxes() {
+    return getResultRows().map(row => row.querySelector('.select-character')).filter(Boolean);
+}
+
+/**
+ * Checks whether a character is in the favorites.
+ * @param {string} fullPath - The unique path/reference for the character.
+ * @returns {boolean} - True if it's a favorite.
+ */
+function isFavorite(fullPath) {
+    return Object.hasOwn(extension_settings.chub.favorites, fullPath);
+}
+
+/**
+ * Keeps the avatar of a new favorite so the favorites list works offline.
+ * @param {Object} character - The result object.
+ * @returns {Promise<void>}
+ */
+async function storeFavoriteAvatar(character) {
+    try {
+        const provider = getProvider(character.provider);
+        const blob = await searchCache.get(CACHE_STORES.avatars, getCacheKey(provider, character.fullPath))
+            ?? await provider.fetchAvatar(character);
+        if (blob) {
+            await searchCache.transaction(FAVORITE_AVATAR_STORE, 'readwrite', objectStore => objectStore.put({ key: character.fullPath, value: blob }));
+        }
+    } catch (error) {
+        console.warn(`Failed to store the avatar of favorite ${character.fullPath}`, error);
+    }
+}
+
+/**
+ * Adds a result to the favorites, or removes it if it already is one.
+ * @param {Object} character - The result object.
+ * @returns {Promise<void>}
+ */
+async function toggleFavorite(character) {
+    const favorites = extension_settings.chub.favorites;
+    const fullPath = character.fullPath;
+
+    if (isFavorite(fullPath)) {
+        delete favorites[fullPath];
+        selectedFavorites.delete(fullPath);
+        searchCache.transaction(FAVORITE_AVATAR_STORE, 'readwrite', objectStore => objectStore.delete(fullPath))
+            .catch(error => console.warn(`Failed to delete the avatar of favorite ${fullPath}`, error));
+    } else {
+        favorites[fullPath] = {
+            fullPath,
+            name: character.name,
+            author: character.author,
+            description: character.description,
+            tags: character.tags || [],
+            avatarUrl: character.avatarUrl,
+            provider: character.provider,
+            type: character.type,
+            lastActivityAt: character.lastActivityAt,
+            addedAt: Date.now(),
+            note: '',
+        };
+        await storeFavoriteAvatar(character);
+    }
+
+    saveSettingsDebounced();
+    document.querySelectorAll(`.favorite-btn[data-path="${CSS.escape(fullPath)}"]`).forEach(button => {
+        button.classList.toggle('favorited', isFavorite(fullPath));
+        button.classList.toggle('fa-solid', isFavorite(fullPath));
+        button.classList.toggle('fa-regular', !isFavorite(fullPath));
+        button.setAttribute('aria-pressed', String(isFavorite(fullPath)));
+    });
+    renderFavoritesPanel();
+}
+
+/**
+ * Revokes the object URLs of the favorite avatars.
+ */
+function releaseFavoriteAvatars() {
+    favoriteAvatarUrls.forEach(url => URL.revokeObjectURL(url));
+    favoriteAvatarUrls.clear();
+}
+
+/**
+ * Renders the favorites tab from the saved metadata, so it works without a connection.
+ */
+function renderFavoritesPanel() {
+    const favorites = Object.values(extension_settings.chub.favorites);
+    const count = document.getElementById('favoritesCount');
+    if (count) {
+        count.textContent = favorites.length;
+    }
+
+    const panel = document.getElementById('favorites-panel');
+    if (!panel || panel.style.display === 'none') return;
+
+    const sort = extension_settings.chub.favoritesSort;
+    const compare = {
+        addedAt: (a, b) => b.addedAt - a.addedAt,
+        lastActivityAt: (a, b) => new Date(b.lastActivityAt || 0) - new Date(a.lastActivityAt || 0),
+        name: (a, b) => (a.name || '').localeCompare(b.name || ''),
+        author: (a, b) => (a.author || '').localeCompare(b.author || '') || (a.name || '').localeCompare(b.name || ''),
+    }[sort] ?? ((a, b) => b.addedAt - a.addedAt);
+    favorites.sort(compare);
+
+    releaseFavoriteAvatars();
+    const list = panel.querySelector('.favorites-list');
+    list.innerHTML = favorites.length === 0
+        ? '<div class="favorites-empty">No favorites yet. Star a search result to keep it here.</div>'
+        : favorites.map(favorite => `
+            <div class="character-list-item favorite-item" data-path="${escapeHtml(favorite.fullPath)}">
+                <input type="checkbox" class="select-favorite" data-path="${escapeHtml(favorite.fullPath)}" title="Select for batch import" ${selectedFavorites.has(favorite.fullPath) ? 'checked' : ''}>
+                <img class="thumbnail" alt="${escapeHtml(favorite.name || '')}">
+                <div class="info">
+                    <a href="${escapeHtml(sanitizeUrl((favorite.provider ? getProvider(favorite.provider) : resolveProvider(favorite.fullPath)).getCharacterUrl(favorite.fullPath)))}" target="_blank" rel="noopener noreferrer">
+                        <div class="name">${escapeHtml(favorite.name || favorite.fullPath)}</div>
+                    </a>
+                    <span class="author">by ${escapeHtml(favorite.author || '')}</span>
+                    <span class="library-status">${generateLibraryStatus(favorite)}</span>
+                    <div class="description">${escapeHtml(favorite.description || '')}</div>
+                    <div class="tags">${(favorite.tags || []).map(tag => `<span class="tag">${escapeHtml(tag)}</span>`).join('')}</div>
+                    <textarea class="text_pole favorite-note" data-path="${escapeHtml(favorite.fullPath)}" rows="2" placeholder="Notes...">${escapeHtml(favorite.note || '')}</textarea>
+                </div>
+                <div role="button" tabindex="0" data-path="${escapeHtml(favorite.fullPath)}" class="menu_button favorite-btn favorited fa-solid fa-star faSmallFontSquareFix" title="Remove from favorites" aria-label="Remove from favorites"></div>
+                <div role="button" tabindex="0" data-path="${escapeHtml(favorite.fullPath)}" class="menu_button favorite-import-btn fa-solid fa-cloud-arrow-down faSmallFontSquareFix" title="Import" aria-label="Import"></div>
+            </div>
+        `).join('');
+
+    list.querySelectorAll('.favorite-item').forEach(async item => {
+        const fullPath = item.getAttribute('data-path');
+        let blob = null;
+        try {
+            const record = await searchCache.transaction(FAVORITE_AVATAR_STORE, 'readonly', objectStore => objectStore.get(fullPath));
+            blob = record?.value;
+        } catch (error) {
+            console.warn(`Failed to read the avatar of favorite ${fullPath}`, error);
+        }
+
+        const img = item.querySelector('img.thumbnail');
+        if (blob) {
+            const url = URL.createObjectURL(blob);
+            favoriteAvatarUrls.set(fullPath, url);
+            img.src = url;
+        } else if (extension_settings.chub.favorites[fullPath]?.avatarUrl) {
+            img.src = sanitizeUrl(extension_settings.chub.favorites[fullPath].avatarUrl);
+        }
+    });
+
+    updateFavoriteSelectionControls();
+}
+
+/**
+ * Updates the bulk import button and select-all box of the favorites tab.
+ */
+function updateFavoriteSelectionControls() {
+    const button = document.getElementById('importFavoritesButton');
+    if (button) {
+        button.textContent = `Import Selected (${selectedFavorites.size})`;
+        button.classList.toggle('disabled', selectedFavorites.size === 0);
+    }
+
+    const selectAll = document.getElementById('selectAllFavorites');
+    if (selectAll) {
+        const total = Object.keys(extension_settings.chub.favorites).length;
+        selectAll.checked = total > 0 && selectedFavorites.size === total;
+    }
+}
+
+/**
+ * Gets the import history entries that match the filters of the history tab.
+ * @returns {Array<Object>} - The matching entries, newest first.
+ */
+function getFilteredImportHistory() {
+    const query = (document.getElementById('historyFilter')?.value || '').trim().toLowerCase();
+    const outcome = document.getElementById('historyOutcome')?.value || '';
+    return extension_settings.chub.importHistory.filter(entry =>
+        (!outcome || entry.outcome === outcome) &&
+        (!query || [entry.name, entry.fullPath, entry.error].some(value => (value || '').toLowerCase().includes(query))));
+}
+
+/**
+ * Renders the import history tab.
+ */
+function renderImportHistory() {
+    const panel = document.getElementById('history-panel');
+    if (!panel || panel.style.display === 'none') return;
+
+    const entries = getFilteredImportHistory();
+    const list = panel.querySelector('.history-list');
+    if (entries.length === 0) {
+        list.innerHTML = `<div class="favorites-empty">${extension_settings.chub.importHistory.length === 0 ? 'Nothing imported yet.' : 'No entries match the filter.'}</div>`;
+        return;
+    }
+
+    list.innerHTML = `
+        <table class="history-table">
+            <thead>
+                <tr><th>Time</th><th>Name</th><th>Version</th><th>Outcome</th><th></th></tr>
+            </thead>
+            <tbody>
+                ${entries.map(entry => `
+                    <tr class="history-entry ${entry.outcome}">
+                        <td>${escapeHtml(new Date(entry.timestamp).toLocaleString())}</td>
+                        <td>
+                            <div>${escapeHtml(entry.name)}</div>
+                            <small>${escapeHtml(entry.fullPath)}</small>
+                        </td>
+                        <td>${entry.version ? escapeHtml(new Date(entry.version).toLocaleDateString()) : ''}</td>
+                        <td>
+                            <span class="history-outcome">${escapeHtml(entry.outcome)}</span>
+                            ${entry.error ? `<div class="history-error">${escapeHtml(entry.error)}</div>` : ''}
+                        </td>
+                        <td class="history-actions">
+                            <div role="button" tabindex="0" class="menu_button history-reimport fa-solid fa-rotate-right" data-path="${escapeHtml(entry.fullPath)}" data-provider="${escapeHtml(entry.provider || '')}" title="Import again" aria-label="Import again"></div>
+                            <a class="menu_button fa-solid fa-arrow-up-right-from-square" href="${escapeHtml(sanitizeUrl(getProvider(entry.provider).getCharacterUrl(entry.fullPath)))}" target="_blank" rel="noopener noreferrer" title="Open the source page" aria-label="Open the source page"></a>
+                        </td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+}
+
+/**
+ * Downloads the filtered import history as JSON or CSV.
+ * @param {string} format - 'json' or 'csv'.
+ */
+function exportImportHistory(format) {
+    const entries = getFilteredImportHistory();
+    if (entries.length === 0) {
+        toastr.info('There is no history to export');
+        return;
+    }
+
+    if (format === 'json') {
+        download(JSON.stringify(entries, null, 4), 'chub-import-history.json', 'application/json');
+        return;
+    }
+
+    const columns = ['timestamp', 'fullPath', 'name', 'version', 'type', 'provider', 'outcome', 'result', 'error'];
+    const quote = (value) => `"${String(value ?? '').replace(/"/g, '""')}"`;
+    const csv = [columns.join(','), ...entries.map(entry => columns.map(column => quote(entry[column])).join(','))].join('\n');
+    download(csv, 'chub-import-history.csv', 'text/csv');
+}
+
+/**
+ * Switches the popup between the search results, the favorites and the import history.
+ * @param {string} tab - 'search', 'favorites', 'feed' or 'history'. The feed is shown in the result list like the search.
+ */
+function switchPopupTab(tab) {
+    const wrapper = document.querySelector('.list-and-search-wrapper');
+    if (!wrapper) return;
+
+    wrapper.classList.toggle('panel-active', tab === 'favorites' || tab === 'history');
+    wrapper.querySelectorAll('.chub-tab').forEach(button => {
+        button.classList.toggle('active', button.getAttribute('data-tab') === tab);
+        button.setAttribute('aria-selected', String(button.getAttribute('data-tab') === tab));
+    });
+    document.getElementById('favorites-panel').style.display = tab === 'favorites' ? '' : 'none';
+    document.getElementById('history-panel').style.display = tab === 'history' ? '' : 'none';
+    if (tab === 'favorites') {
+        renderFavoritesPanel();
+    } else {
+        releaseFavoriteAvatars();
+    }
+    if (tab === 'history') {
+        renderImportHistory();
+    }
+}
+
+/**
+ * Updates the character list in the view based on provided characters.
+ * @param {Array} characters - A list of character data objects to be rendered in the view.
+ * @param {boolean} append - Whether to append the characters or replace existing ones.
+ */
+function updateCharacterListInView(characters, append = false) {
+    if (!characterListContainer) return;
+
+    // Use DocumentFragment for better performance
+    const fragment = document.createDocumentFragment();
+
+    characters.forEach((character, i) => {
+        const existingItem = characterListContainer.querySelector(`.character-list-item[data-path="${CSS.escape(character.fullPath)}"]`);
+        if (existingItem && append) {
+            console.log(`Skipping duplicate character in view: ${character.name}`);
+            return;
+        }
+        fragment.appendChild(generateCharacterListItem(character, i));
+    });
+
+    if (!append) {
+        characterListContainer.innerHTML = '';
+        // The new results already have their own avatars, everything else is gone from the list
+        revokeObjectUrls(characters.map(character => character.url));
+    }
+    
+    if (fragment.children.length > 0) {
+        characterListContainer.appendChild(fragment);
+    }
+
+    observeImages();
+
+    groupForkRows();
+    refreshBlockedResults();
+
+    // Keep one row in the tab order so the list can be reached with Tab
+    const rows = getResultRows();
+    if (rows.length > 0 && !rows.some(row => row.tabIndex === 0)) {
+        rows[0].tabIndex = 0;
+    }
+
+    updateSelectionControls();
+}
+
+/**
+ * Switches the result list between the search, an author view and the followed-authors feed,
+ * then asks the popup to load the results with a `browsechange` event.
+ * @param {Object|null} mode - null for the search, `{ type: 'author', author }` or `{ type: 'feed' }`.
+ */
+function setBrowseMode(mode) {
+    browseMode = mode;
+    switchPopupTab(mode?.type === 'feed' ? 'feed' : 'search');
+    renderBrowseBanner();
+    characterListContainer?.dispatchEvent(new Event('browsechange'));
+}
+
+/**
+ * Checks whether an author is followed.
+ * @param {string} author - The author name.
+ * @returns {boolean} - True if followed.
+ */
+function isFollowed(author) {
+    return Object.hasOwn(extension_settings.chub.followedAuthors, author);
+}
+
+/**
+ * Follows or unfollows an author.
+ * @param {string} author - The author name.
+ */
+function toggleFollowAuthor(author) {
+    if (isFollowed(author)) {
+        delete extension_settings.chub.followedAuthors[author];
+    } else {
+        extension_settings.chub.followedAuthors[author] = { followedAt: Date.now() };
+    }
+    saveSettingsDebounced();
+    renderBrowseBanner();
+}
+
+/**
+ * Renders the banner above the results in the author view and the feed, and the followed count of the feed tab.
+ */
+function renderBrowseBanner() {
+    const count = document.getElementById('followedCount');
+    if (count) {
+        count.textContent = Object.keys(extension_settings.chub.followedAuthors).length;
+    }
+
+    const banner = document.getElementById('browse-banner');
+    if (!banner) return;
+
+    const back = '<div role="button" tabindex="0" class="menu_button browse-back"><i class="fa-solid fa-arrow-left"></i> Back to search</div>';
+    if (browseMode?.type === 'author') {
+        const author = browseMode.author;
+        const followed = isFollowed(author);
+        banner.innerHTML = `
+            ${back}
+            <span class="flex1"><i class="fa-solid fa-user"></i> Everything by <b>${escapeHtml(author)}</b></span>
+            <div role="button" tabindex="0" class="menu_button follow-btn ${followed ? 'followed' : ''}" aria-pressed="${followed}" data-author="${escapeHtml(author)}">
+                <i class="fa-solid ${followed ? 'fa-user-check' : 'fa-user-plus'}"></i> ${followed ? 'Following' : 'Follow'}
+            </div>
+            <a href="${escapeHtml(sanitizeUrl(getActiveProvider().getProfileUrl(author)))}" target="_blank" rel="noopener noreferrer" title="Open the profile page"><i class="fa-solid fa-arrow-up-right-from-square"></i></a>
+        `;
+    } else if (browseMode?.type === 'feed') {
+        const authors = Object.keys(extension_settings.chub.followedAuthors);
+        const since = feedSince ? new Date(feedSince).toLocaleString() : 'ever';
+        banner.innerHTML = authors.length > 0
+            ? `${back}<span class="flex1"><i class="fa-solid fa-rss"></i> New uploads from ${authors.length} followed author(s) since your last visit (${escapeHtml(since)})</span>`
+            : `${back}<span class="flex1"><i class="fa-solid fa-rss"></i> You don't follow anyone yet. Click an author name and press Follow to see their new uploads here.</span>`;
+    }
+    banner.style.display = browseMode ? '' : 'none';
+}
+
+/**
+ * Loads the uploads of the followed authors that are newer than the last visit of the feed into the result list.
+ * @returns {Promise<void>} - Resolves once the feed has been rendered.
+ */
+async function loadFollowedFeed() {
+    const provider = getActiveProvider();
+    const authors = Object.keys(extension_settings.chub.followedAuthors);
+
+    // The previous visit stays the cutoff for the whole session, so reopening the feed shows the same uploads
+    if (feedSince === null) {
+        feedSince = extension_settings.chub.feedLastVisitAt || 0;
+        extension_settings.chub.feedLastVisitAt = Date.now();
+        saveSettingsDebounced();
+        renderBrowseBanner();
+    }
+
+    const abortController = searchSession.start();
+    closeCharacterPreview();
+    showSearchError(null);
+    // The feed is a single list, there is nothing to scroll to
+    searchSession.hasMore = false;
+
+    const loadingIndicator = document.getElementById('loading-indicator');
+    loadingIndicator.style.display = 'block';
+
+    const sort = Object.hasOwn(provider.sortOptions, 'created_at') ? 'created_at' : Object.keys(provider.sortOptions)[0];
+    const feed = [];
+    try {
+        for (const author of authors) {
+            const searchOptions = {
+                searchTerm: '',
+                includeTags: [],
+                excludeTags: [],
+                nsfw: document.getElementById('nsfwCheckbox').checked,
+                sort,
+                page: 1,
+                first: extension_settings.chub.findCount,
+                contentType: 'characters',
+                filters: { ...defaultSettings.advancedFilters },
+                author,
+            };
+
+            let nodes;
+            try {
+                nodes = await fetchSearchPage(provider, searchOptions, abortController.signal, { cache: false });
+            } catch (error) {
+                if (error.name === 'AbortError') throw error;
+                console.warn(`Failed to load the uploads of ${author}`, error);
+                toastr.warning(`Couldn't load the uploads of ${author}`, 'Chub Search');
+                continue;
+            }
+
+            const characters = await processCharacters(nodes, 'characters', provider);
+            feed.push(...characters.filter(character => new Date(character.createdAt).getTime() > feedSince));
+        }
+    } catch (error) {
+        if (error.name === 'AbortError') return;
+        throw error;
+    } finally {
+        if (searchSession.isCurrent(abortController)) {
+            loadingIndicator.style.display = 'none';
+        }
+    }
+
+    if (abortController.signal.aborted) return;
+
+    feed.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+    searchSession.results = feed;
+    if (feed.length > 0) {
+        updateCharacterListInView(feed, false);
+    } else {
+        revokeObjectUrls();
+        characterListContainer.innerHTML = '<div class="no-characters-found">No new uploads from followed authors</div>';
+        refreshBlockedResults();
+    }
+}
+
+/**
+ * Prepares the blocklist for matching. Invalid keyword patterns are skipped.
+ * @returns {{authors: Set<string>, tags: Set<string>, keywords: Array<RegExp>}} - The lowercased authors and tags, and the keyword patterns.
+ */
+function compileBlocklist() {
+    const { authors, tags, keywords } = extension_settings.chub.blocklist;
+    return {
+        authors: new Set(authors.map(author => author.toLowerCase())),
+        tags: new Set(tags.map(tag => tag.toLowerCase())),
+        keywords: keywords.map(keyword => {
+            try {
+                return new RegExp(keyword, 'i');
+            } catch {
+                return null;
+            }
+        }).filter(Boolean),
+    };
+}
+
+/**
+ * Checks a result against the blocklist.
+ * @param {Object} character - The result object.
+ * @param {Object} [blocklist] - The blocklist from `compileBlocklist`.
+ * @returns {string|null} - Why the result is blocked, or null if it isn't.
+ */
+function getBlockReason(character, blocklist = compileBlocklist()) {
+    if (blocklist.authors.has((character.author || '').toLowerCase())) {
+        return `author "${character.author}"`;
+    }
+
+    const tag = (character.tags || []).find(tag => blocklist.tags.has(String(tag).toLowerCase()));
+    if (tag) {
+        return `tag "${tag}"`;
+    }
+
+    const text = `${character.name || ''}\n${character.description || ''}`;
+    const keyword = blocklist.keywords.find(pattern => pattern.test(text));
+    if (keyword) {
+        return `keyword /${keyword.source}/`;
+    }
+
+    return null;
+}
+
+/**
+ * Marks the rows matched by the blocklist and updates the hidden results notice.
+ * Blocked rows stay in the list so they can be shown again without searching.
+ */
+function refreshBlockedResults() {
+    if (!characterListContainer) return;
+
+    const blocklist = compileBlocklist();
+    const hiddenPerPage = new Map();
+    characterListContainer.querySelectorAll('.character-list-item').forEach(row => {
+        const character = findLoadedCharacter(row.getAttribute('data-path'));
+        const reason = character ? getBlockReason(character, blocklist) : null;
+        row.classList.toggle('blocked-result', Boolean(reason));
+        if (reason) {
+            row.setAttribute('data-block-reason', `Hidden by your blocklist: ${reason}`);
+            hiddenPerPage.set(character.page, (hiddenPerPage.get(character.page) || 0) + 1);
+        } else {
+            row.removeAttribute('data-block-reason');
+        }
+    });
+    characterListContainer.classList.toggle('hide-blocked', !showBlockedResults);
+    // "Select all" only covers the rows that are shown
+    updateSelectionControls();
+
+    const notice = document.getElementById('blocked-notice');
+    if (!notice) return;
+
+    const total = Array.from(hiddenPerPage.values()).reduce((sum, count) => sum + count, 0);
+    notice.style.display = total > 0 ? '' : 'none';
+    // The feed is a single list without pages
+    const counts = browseMode?.type === 'feed'
+        ? `${total} of the new uploads`
+        : Array.from(hiddenPerPage.entries())
+            .sort(([a], [b]) => a - b)
+            .map(([page, count]) => `${count} on page ${page}`)
+            .join(', ');
+    notice.querySelector('.blocked-count').textContent = `Your blocklist ${showBlockedResults ? 'matched' : 'hid'} ${counts}.`;
+    notice.querySelector('#toggleBlockedResults').textContent = showBlockedResults ? 'Hide them' : 'Show them';
+}
+
+/**
+ * Adds an author, tag or keyword to the blocklist and hides the matching results.
+ * @param {string} kind - 'authors', 'tags' or 'keywords'.
+ * @param {string} value - The entry to add.
+ */
+function addToBlocklist(kind, value) {
+    value = String(value || '').trim();
+    const list = extension_settings.chub.blocklist[kind];
+    if (!value || list.some(entry => entry.toLowerCase() === value.toLowerCase())) return;
+
+    list.push(value);
+    saveSettingsDebounced();
+    syncBlocklistInputs();
+    refreshBlockedResults();
+    toastr.info(`Added ${value} to the blocklist`, 'Chub Search');
+}
+
+/**
+ * Shows the blocklist in the blocklist settings of the popup.
+ */
+function syncBlocklistInputs() {
+    for (const kind of ['authors', 'tags', 'keywords']) {
+        const input = document.querySelector(`.blocklist-input[data-blocklist="${kind}"]`);
+        if (input) {
+            input.value = extension_settings.chub.blocklist[kind].join('\n');
+        }
+    }
+}
+
+/**
+ * Opens the hide/exclude menu of a result row.
+ * @param {MouseEvent} event - The contextmenu event, from the mouse or the keyboard.
+ * @param {HTMLElement} row - The result row.
+ */
+function openResultContextMenu(event, row) {
+    const menu = document.getElementById('result-context-menu');
+    const character = findLoadedCharacter(row.getAttribute('data-path'));
+    if (!menu || !character) return;
+
+    const clickedTag = event.target.classList.contains('tag') ? event.target.textContent : null;
+    const item = (action, value, label) => `<div class="result-context-item" role="menuitem" tabindex="-1" data-action="${action}" data-value="${escapeHtml(value)}">${label}</div>`;
+    const items = [];
+    if (clickedTag) {
+        items.push(item('exclude-tag', clickedTag, `<i class="fa-solid fa-minus-square"></i> Exclude tag "${escapeHtml(clickedTag)}" from this search`));
+        items.push(item('hide-tag', clickedTag, `<i class="fa-solid fa-ban"></i> Always hide tag "${escapeHtml(clickedTag)}"`));
+    }
+    if (character.author) {
+        items.push(item('hide-author', character.author, `<i class="fa-solid fa-user-slash"></i> Hide author "${escapeHtml(character.author)}"`));
+    }
+    for (const tag of (character.tags || []).filter(tag => tag !== clickedTag)) {
+        items.push(item('hide-tag', tag, `<i class="fa-solid fa-ban"></i> Hide tag "${escapeHtml(tag)}"`));
+    }
+    menu.innerHTML = items.join('');
+
+    // Keyboard context menus have no pointer position, so open it at the row
+    const rect = row.getBoundingClientRect();
+    const x = event.clientX || rect.left + 20;
+    const y = event.clientY || rect.top + 20;
+    menu.style.display = 'block';
+    menu.style.left = `${Math.min(x, window.innerWidth - menu.offsetWidth - 5)}px`;
+    menu.style.top = `${Math.min(y, window.innerHeight - menu.offsetHeight - 5)}px`;
+    menu.querySelector('.result-context-item')?.focus();
+}
+
+/**
+ * Closes the hide/exclude menu of the result rows.
+ */
+function closeResultContextMenu() {
+    const menu = document.getElementById('result-context-menu');
+    if (menu && menu.style.display !== 'none') {
+        menu.style.display = 'none';
+        menu.innerHTML = '';
+    }
+}
+
+/**
+ * Moves the forks in the result list right after their parent, when the parent is in the list too.
+ * Rows that were grouped before keep their place, so appending a page doesn't reshuffle the list.
+ */
+function groupForkRows() {
+    const rows = Array.from(characterListContainer.querySelectorAll('.character-list-item'));
+    const rowsById = new Map();
+    for (const row of rows) {
+        const character = findLoadedCharacter(row.getAttribute('data-path'));
+        if (character?.id !== undefined && character?.id !== null) {
+            rowsById.set(String(character.id), row);
+        }
+    }
+
+    for (const row of rows) {
+        const character = findLoadedCharacter(row.getAttribute('data-path'));
+        const parentRow = character?.parentId ? rowsById.get(String(character.parentId)) : null;
+        if (!parentRow || parentRow === row || row.hasAttribute('data-parent')) continue;
+
+        // After the parent and the forks already grouped under it
+        let anchor = parentRow;
+        while (anchor.nextElementSibling?.getAttribute('data-parent') === String(character.parentId)) {
+            anchor = anchor.nextElementSibling;
+        }
+        anchor.after(row);
+        row.setAttribute('data-parent', String(character.parentId));
+        row.classList.add('fork-grouped');
+        parentRow.classList.add('has-forks');
+    }
+}
+
+/**
+ * Normalizes a tag so casing and spacing don't matter, preferring the provider's own spelling.
+ * @param {string} tag - The tag as typed or shown.
+ * @returns {string} - The normalized tag, or an empty string if there is nothing left.
+ */
+function normalizeTag(tag) {
+    const normalized = String(tag).trim().replace(/\s+/g, ' ').toLowerCase();
+    const known = knownTags?.find(knownTag => knownTag.name.toLowerCase() === normalized);
+    return known ? known.name : normalized;
+}
+
+/**
+ * Splits tags into the ones that fit a comma-joined length limit and the ones that don't.
+ * @param {Array<string>} tags - The tags, in order of priority.
+ * @param {number} [limit] - The maximum length of the joined tags. No limit if not set.
+ * @returns {{kept: Array<string>, dropped: Array<string>}} - The tags to send and the tags left out.
+ */
+function fitTagsToLimit(tags, limit) {
+    if (!limit) {
+        return { kept: tags, dropped: [] };
+    }
+
+    const kept = [];
+    const dropped = [];
+    let length = 0;
+    for (const tag of tags) {
+        const added = (kept.length > 0 ? 1 : 0) + tag.length;
+        if (length + added <= limit) {
+            kept.push(tag);
+            length += added;
+        } else {
+            dropped.push(tag);
+        }
+    }
+    return { kept, dropped };
+}
+
+/**
+ * Loads the tag list of the active provider for autocomplete, from the cache if possible.
+ * @returns {Promise<Array<{name: string, count: number}>>} - The known tags, sorted by usage.
+ */
+async function loadKnownTags() {
+    const provider = getActiveProvider();
+    if (!provider.fetchTags) {
+        return [];
+    }
+
+    const cacheKey = getCacheKey(provider, 'tags');
+    let tagList = await searchCache.get(CACHE_STORES.pages, cacheKey);
+    if (!tagList) {
+        try {
+            tagList = await provider.fetchTags();
+            await searchCache.set(CACHE_STORES.pages, cacheKey, tagList, JSON.stringify(tagList).length);
+        } catch (error) {
+            console.warn('Failed to load the tag list', error);
+            return [];
+        }
+    }
+
+    knownTags = tagList.sort((a, b) => b.count - a.count);
+    return knownTags;
+}
+
+/**
+ * Adds a tag chip to the include or exclude list and removes it from the other one.
+ * @param {string} kind - 'include' or 'exclude'.
+ * @param {string} tag - The tag to add.
+ */
+function addTagFilter(kind, tag) {
+    const normalized = normalizeTag(tag);
+    if (!normalized) return;
+
+    const other = kind === 'include' ? 'exclude' : 'include';
+    const changed = !tagFilters[kind].includes(normalized) || tagFilters[other].includes(normalized);
+    tagFilters[other] = tagFilters[other].filter(existing => existing !== normalized);
+    if (!tagFilters[kind].includes(normalized)) {
+        tagFilters[kind].push(normalized);
+    }
+
+    if (changed) {
+        onTagFiltersChanged();
+    }
+}
+
+/**
+ * Removes a tag chip.
+ * @param {string} kind - 'include' or 'exclude'.
+ * @param {string} tag - The tag to remove.
+ */
+function removeTagFilter(kind, tag) {
+    const count = tagFilters[kind].length;
+    tagFilters[kind] = tagFilters[kind].filter(existing => existing !== tag);
+    if (tagFilters[kind].length !== count) {
+        onTagFiltersChanged();
+    }
+}
+
+/**
+ * Redraws the chips and notifies the popup, which runs a new search on `tagschange`.
+ */
+function onTagFiltersChanged() {
+    renderTagEditors();
+    document.getElementById('includeTagsEditor')?.dispatchEvent(new Event('tagschange'));
+}
+
+/**
+ * Redraws both tag editors and the tag length warning.
+ */
+function renderTagEditors() {
+    for (const kind of ['include', 'exclude']) {
+        const chips = document.querySelector(`#${kind}TagsEditor .tag-chips`);
+        if (!chips) continue;
+
+        chips.innerHTML = tagFilters[kind].map(tag => `
+            <span class="tag-chip ${kind}" data-tag="${escapeHtml(tag)}">
+                ${escapeHtml(tag)}
+                <i class="fa-solid fa-xmark tag-chip-remove" role="button" tabindex="0" title="Remove" aria-label="Remove ${escapeHtml(tag)}"></i>
+            </span>
+        `).join('');
+    }
+
+    const warning = document.getElementById('tagWarning');
+    if (!warning) return;
+
+    const limit = getActiveProvider().tagQueryLimit;
+    const dropped = [...fitTagsToLimit(tagFilters.include, limit).dropped, ...fitTagsToLimit(tagFilters.exclude, limit).dropped];
+    warning.style.display = dropped.length > 0 ? '' : 'none';
+    warning.textContent = dropped.length > 0
+        ? `Only ${limit} characters of tags are accepted per list, these tags are not sent: ${dropped.join(', ')}`
+        : '';
+}
+
+/**
+ * Shows the autocomplete suggestions of a tag editor for the text typed so far.
+ * @param {HTMLElement} editor - The tag editor.
+ */
+function renderTagSuggestions(editor) {
+    const input = editor.querySelector('.tag-editor-input');
+    const suggestions = editor.querySelector('.tag-suggestions');
+    const query = input.value.trim().toLowerCase();
+
+    const matches = query && knownTags
+        ? knownTags.filter(tag => tag.name.toLowerCase().includes(query)).slice(0, 10)
+        : [];
+
+    input.setAttribute('aria-expanded', String(matches.length > 0));
+    if (matches.length === 0) {
+        suggestions.style.display = 'none';
+        suggestions.innerHTML = '';
+        return;
+    }
+
+    suggestions.style.display = 'block';
+    suggestions.innerHTML = matches.map((tag, i) => `
+        <div class="tag-suggestion ${i === 0 ? 'active' : ''}" role="option" aria-selected="${i === 0}" data-tag="${escapeHtml(tag.name)}">
+            <span>${escapeHtml(tag.name)}</span>
+            <span class="tag-suggestion-count">${tag.count.toLocaleString()}</span>
+        </div>
+    `).join('');
+}
+
+/**
+ * Wires up the chips, typing and autocomplete of a tag editor.
+ * @param {string} kind - 'include' or 'exclude'.
+ */
+function setupTagEditor(kind) {
+    const editor = document.getElementById(`${kind}TagsEditor`);
+    const input = editor.querySelector('.tag-editor-input');
+    const suggestions = editor.querySelector('.tag-suggestions');
+
+    const commitInput = (tag = input.value) => {
+        // Pasted comma separated lists still work
+        tag.split(',').forEach(part => addTagFilter(kind, part));
+        input.value = '';
+        renderTagSuggestions(editor);
+    };
+
+    input.addEventListener('focus', () => {
+        if (!knownTags) loadKnownTags();
+    });
+    input.addEventListener('input', () => {
+        if (input.value.includes(',')) {
+            commitInput();
+            return;
+        }
+        renderTagSuggestions(editor);
+    });
+    input.addEventListener('keydown', (event) => {
+        const items = Array.from(suggestions.querySelectorAll('.tag-suggestion'));
+        const active = items.findIndex(item => item.classList.contains('active'));
+
+        if (event.key === 'Enter') {
+            event.preventDefault();
+            commitInput(active >= 0 ? items[active].getAttribute('data-tag') : input.value);
+        } else if ((event.key === 'ArrowDown' || event.key === 'ArrowUp') && items.length > 0) {
+            event.preventDefault();
+            const next = (active + (event.key === 'ArrowDown' ? 1 : -1) + items.length) % items.length;
+            items.forEach((item, i) => {
+                item.classList.toggle('active', i === next);
+                item.setAttribute('aria-selected', String(i === next));
+            });
+        } else if (event.key === 'Escape' && suggestions.style.display !== 'none') {
+            event.stopPropagation();
+            suggestions.style.display = 'none';
+        } else if (event.key === 'Backspace' && input.value === '' && tagFilters[kind].length > 0) {
+            removeTagFilter(kind, tagFilters[kind][tagFilters[kind].length - 1]);
+        }
+    });
+    input.addEventListener('blur', () => {
+        // Let a click on a suggestion land before hiding them
+        setTimeout(() => suggestions.style.display = 'none', 150);
+    });
+
+    suggestions.addEventListener('mousedown', (event) => {
+        const suggestion = event.target.closest('.tag-suggestion');
+        if (suggestion) {
+            event.preventDefault();
+            commitInput(suggestion.getAttribute('data-tag'));
+        }
+    });
+
+    editor.querySelector('.tag-chips').addEventListener('click', (event) => {
+        if (event.target.classList.contains('tag-chip-remove')) {
+            removeTagFilter(kind, event.target.closest('.tag-chip').getAttribute('data-tag'));
+        }
+    });
+}
+
+/**
+ * Reads the current search inputs of the popup, in the shape stored for presets.
+ * @returns {Object} - The search term, tags, sort, NSFW flag, content type and advanced filters.
+ */
+function getSearchInputs() {
+    return {
+        searchTerm: document.getElementById('characterSearchInput').value,
+        includeTags: [...tagFilters.include],
+        excludeTags: [...tagFilters.exclude],
+        sort: document.getElementById('sortOrder').value,
+        nsfw: document.getElementById('nsfwCheckbox').checked,
+        contentType: document.getElementById('contentType').value,
+        filters: getAdvancedFilters(),
+    };
+}
+
+/**
+ * Builds the options of a search from the popup inputs and the author view.
+ * @param {number} page - The page to load.
+ * @returns {Object} - The options for `executeCharacterSearch`.
+ */
+function getSearchOptions(page) {
+    const inputs = getSearchInputs();
+    if (browseMode?.type === 'author') {
+        // The author view lists everything by the author; the search inputs are kept for going back
+        return { ...inputs, searchTerm: '', includeTags: [], excludeTags: [], filters: { ...defaultSettings.advancedFilters }, author: browseMode.author, page };
+    }
+    return { ...inputs, page };
+}
+
+/**
+ * Checks a preset from the settings or an imported file and keeps only the known fields.
+ * @param {Object} preset - The preset to check.
+ * @returns {Object|null} - The cleaned preset, or null if it isn't a preset.
+ */
+function sanitizeSearchPreset(preset) {
+    if (!preset || typeof preset !== 'object' || Array.isArray(preset)) {
+        return null;
+    }
+
+    const tagList = (tags) => Array.isArray(tags) ? tags.map(normalizeTag).filter(Boolean) : [];
+    const filters = {};
+    for (const key of Object.keys(defaultSettings.advancedFilters)) {
+        if (preset.filters && key in preset.filters) {
+            filters[key] = preset.filters[key];
+        }
+    }
+
+    return {
+        searchTerm: typeof preset.searchTerm === 'string' ? preset.searchTerm : '',
+        includeTags: tagList(preset.includeTags),
+        excludeTags: tagList(preset.excludeTags),
+        sort: typeof preset.sort === 'string' ? preset.sort : '',
+        nsfw: Boolean(preset.nsfw),
+        contentType: typeof preset.contentType === 'string' ? preset.contentType : '',
+        filters: { ...defaultSettings.advancedFilters, ...filters },
+    };
+}
+
+/**
+ * Puts the inputs of a preset into the popup. Doesn't run the search.
+ * @param {Object} preset - The preset, as returned by getSearchInputs.
+ */
+function applySearchPreset(preset) {
+    const setSelectValue = (id, value) => {
+        const select = document.getElementById(id);
+        // Keep the current choice if the active source doesn't have this option
+        if (value && Array.from(select.options).some(option => option.value === value)) {
+            select.value = value;
+        }
+    };
+
+    document.getElementById('characterSearchInput').value = preset.searchTerm;
+    document.getElementById('nsfwCheckbox').checked = preset.nsfw;
+    setSelectValue('contentType', preset.contentType);
+    setSelectValue('sortOrder', preset.sort);
+    tagFilters = { include: [...preset.includeTags], exclude: [...preset.excludeTags] };
+    renderTagEditors();
+
+    extension_settings.chub.advancedFilters = { ...preset.filters };
+    saveSettingsDebounced();
+    syncAdvancedFilterInputs();
+}
+
+/**
+ * Fills the preset dropdown, marking the default preset.
+ * @param {string} [selected] - The preset to select.
+ */
+function renderPresetOptions(selected = '') {
+    const presetSelect = document.getElementById('presetSelect');
+    if (!presetSelect) return;
+
+    const { searchPresets, defaultPreset } = extension_settings.chub;
+    presetSelect.innerHTML = '<option value="">Saved searches...</option>' + Object.keys(searchPresets)
+        .sort((a, b) => a.localeCompare(b))
+        .map(name => `<option value="${escapeHtml(name)}">${escapeHtml(name)}${name === defaultPreset ? ' (default)' : ''}</option>`)
+        .join('');
+    presetSelect.value = Object.hasOwn(searchPresets, selected) ? selected : '';
+}
+
+/**
+ * Saves the current search inputs as a named preset, replacing a preset with the same name.
+ * @param {string} name - The name of the preset.
+ */
+function saveSearchPreset(name) {
+    name = name.trim();
+    if (!name) {
+        toastr.warning('Enter a name for the preset first');
+        return;
+    }
+    // Would replace the prototype of the presets object instead of adding a preset
+    if (name === '__proto__') {
+        toastr.warning('This name can\'t be used for a preset');
+        return;
+    }
+
+    extension_settings.chub.searchPresets[name] = getSearchInputs();
+    saveSettingsDebounced();
+    renderPresetOptions(name);
+    toastr.success(`Saved search preset "${name}"`);
+}
+
+/**
+ * Deletes a preset, and clears the default if it was the default.
+ * @param {string} name - The name of the preset.
+ */
+function deleteSearchPreset(name) {
+    if (!Object.hasOwn(extension_settings.chub.searchPresets, name)) return;
+
+    delete extension_settings.chub.searchPresets[name];
+    if (extension_settings.chub.defaultPreset === name) {
+        extension_settings.chub.defaultPreset = '';
+    }
+    saveSettingsDebounced();
+    renderPresetOptions();
+}
+
+/**
+ * Makes a preset the one that runs when the popup opens, or unsets it if it already is.
+ * @param {string} name - The name of the preset.
+ */
+function toggleDefaultPreset(name) {
+    if (!Object.hasOwn(extension_settings.chub.searchPresets, name)) return;
+
+    const isDefault = extension_settings.chub.defaultPreset === name;
+    extension_settings.chub.defaultPreset = isDefault ? '' : name;
+    saveSettingsDebounced();
+    renderPresetOptions(name);
+    toastr.info(isDefault ? `"${name}" no longer runs on open` : `"${name}" will run when the search opens`);
+}
+
+/**
+ * Downloads all presets as a JSON file that can be shared and imported.
+ */
+function exportSearchPresets() {
+    const presets = extension_settings.chub.searchPresets;
+    if (Object.keys(presets).length === 0) {
+        toastr.info('There are no presets to export');
+        return;
+    }
+
+    download(JSON.stringify({ searchPresets: presets }, null, 4), 'chub-search-presets.json', 'application/json');
+}
+
+/**
+ * Imports presets from a JSON file made by exportSearchPresets. Presets with the same name are replaced.
+ * A plain object of name -> preset is accepted too.
+ * @param {File} file - The JSON file.
+ */
+async function importSearchPresets(file) {
+    let presets;
+    try {
+        const data = JSON.parse(await file.text());
+        presets = data.searchPresets ?? data;
+        if (!presets || typeof presets !== 'object' || Array.isArray(presets)) {
+            throw new Error('expected an object of presets');
+        }
+    } catch (error) {
+        toastr.error(`Invalid presets file: ${error.message}`);
+        return;
+    }
+
+    let imported = 0;
+    for (const [name, preset] of Object.entries(presets)) {
+        const cleaned = sanitizeSearchPreset(preset);
+        if (name.trim() && name.trim() !== '__proto__' && cleaned) {
+            extension_settings.chub.searchPresets[name.trim()] = cleaned;
+            imported++;
         }
     }
-    return permutations;
+
+    saveSettingsDebounced();
+    renderPresetOptions();
+    toastr.success(`Imported ${imported} search preset(s)`);
 }
 
 /**
- * Fetches characters based on specified search criteria.
+ * Fetches characters based on specified search criteria, using the active search provider.
  * @param {Object} options - The search options object.
  * @param {string} [options.searchTerm] - A search term to filter characters by name/description.
  * @param {Array<string>} [options.includeTags] - A list of tags that the returned characters should include.
@@ -174,54 +2894,65 @@ function makeTagPermutations(tags) {
  * @param {boolean} [options.nsfw] - Whether or not to include NSFW characters. Defaults to the extension settings.
  * @param {string} [options.sort] - The criteria by which to sort the characters. Default is by download count.
  * @param {number} [options.page=1] - The page number for pagination. Defaults to 1.
+ * @param {string} [options.contentType='characters'] - Whether to search for 'characters' or 'lorebooks'.
+ * @param {Object} [options.filters] - The advanced filters. Defaults to the ones saved in the settings.
+ * @param {AbortSignal} [options.signal] - Cancels the search.
  * @returns {Promise<Array>} - Resolves with an array of character objects that match the search criteria.
  */
-async function fetchCharactersBySearch({ searchTerm, includeTags, excludeTags, nsfw, sort, page=1 }) {
+async function fetchCharactersBySearch({ searchTerm, includeTags, excludeTags, nsfw, sort, page=1, contentType='characters', filters, author, signal }) {
     const timeStart = performance.now();
-    
-    let first = extension_settings.chub.findCount;
-    let asc = false;
-    let include_forks = true;
-    nsfw = nsfw || extension_settings.chub.nsfw;  // Default to extension settings if not provided
-    let require_images = false;
-    let require_custom_prompt = false;
-    searchTerm = searchTerm ? `search=${encodeURIComponent(searchTerm)}&` : '';
-    sort = sort || 'download_count';
+    const provider = getActiveProvider();
 
-    // Construct the URL with the search parameters, if any
-    // 
-    let url = `${API_ENDPOINT_SEARCH}?${searchTerm}first=${first}&page=${page}&sort=${sort}&asc=${asc}&venus=true&include_forks=${include_forks}&nsfw=${nsfw}&require_images=${require_images}&require_custom_prompt=${require_custom_prompt}`;
+    const searchOptions = {
+        searchTerm,
+        //remove tags that contain no characters
+        includeTags: (includeTags || []).filter(tag => tag.length > 0),
+        excludeTags: (excludeTags || []).filter(tag => tag.length > 0),
+        nsfw: nsfw ?? extension_settings.chub.nsfw,  // The popup checkbox wins, the setting is only the default
+        sort: sort || Object.keys(provider.sortOptions)[0],
+        page,
+        first: extension_settings.chub.findCount,
+        contentType,
+        filters: filters || getAdvancedFilters(),
+        author,
+    };
 
-    //truncate include and exclude tags to 100 characters
-    includeTags = includeTags.filter(tag => tag.length > 0);
-    if (includeTags && includeTags.length > 0) {
-        //includeTags = makeTagPermutations(includeTags);
-        includeTags = includeTags.join(',').slice(0, 100);
-        url += `&tags=${encodeURIComponent(includeTags)}`;
-    }
-    //remove tags that contain no characters
-    excludeTags = excludeTags.filter(tag => tag.length > 0);
-    if (excludeTags && excludeTags.length > 0) {
-        //excludeTags = makeTagPermutations(excludeTags);
-        excludeTags = excludeTags.join(',').slice(0, 100);
-        url += `&exclude_tags=${encodeURIComponent(excludeTags)}`;
+    const nodes = await fetchSearchPage(provider, searchOptions, signal);
+    if (nodes.length === 0) {
+        return [];
     }
 
-    let searchResponse = await fetch(url);
-    let searchData = await searchResponse.json();
+    // Use new batch processing
+    const characters = await processCharacters(nodes, contentType, provider);
 
-    // Clear previous search results
-    chubCharacters = [];
+    performance_monitoring.log('Character fetch and processing', timeStart);
+    return characters;
+}
 
-    if (searchData.nodes.length === 0) {
-        return chubCharacters;
-    }
+/**
+ * Fetches the raw result nodes of a search page from the cache or the provider.
+ * @param {SearchProvider} provider - The provider to search.
+ * @param {Object} searchOptions - The complete search options, see `SearchProvider.search`.
+ * @param {AbortSignal} [signal] - Aborts the request.
+ * @param {Object} [options]
+ * @param {boolean} [options.cache=true] - Whether cached pages may be used, e.g. not when looking for new uploads.
+ * @returns {Promise<Array<Object>>} - The result nodes of the provider.
+ */
+async function fetchSearchPage(provider, searchOptions, signal, { cache = true } = {}) {
+    // Random order is supposed to change every time, so it is never cached
+    const cacheKey = getCacheKey(provider, JSON.stringify(searchOptions));
+    const useCache = cache && searchOptions.sort !== 'random';
+    let nodes = useCache ? await searchCache.get(CACHE_STORES.pages, cacheKey) : null;
 
-    // Use new batch processing
-    chubCharacters = await processCharacters(searchData.nodes);
-    
-    performance_monitoring.log('Character fetch and processing', timeStart);
-    return chubCharacters;
+    if (nodes) {
+        console.log(`Using cached results for page ${searchOptions.page}`);
+    } else {
+        nodes = await provider.search({ ...searchOptions, signal });
+        if (useCache) {
+            await searchCache.set(CACHE_STORES.pages, cacheKey, nodes, JSON.stringify(nodes).length);
+        }
+    }
+    return nodes;
 }
 
 /**
@@ -237,14 +2968,17 @@ async function searchCharacters(options) {
     // grey out the character-list-popup while we're searching
     if (characterListContainer) {
         characterListContainer.classList.add('searching');
+        characterListContainer.setAttribute('aria-busy', 'true');
     }
     console.log('Searching for characters', options);
-    const characters = await fetchCharactersBySearch(options);
-    if (characterListContainer) {
-        characterListContainer.classList.remove('searching');
+    try {
+        return await fetchCharactersBySearch(options);
+    } finally {
+        if (characterListContainer) {
+            characterListContainer.classList.remove('searching');
+            characterListContainer.removeAttribute('aria-busy');
+        }
     }
-
-    return characters;
 }
 
 /**
@@ -256,29 +2990,30 @@ function openSearchPopup() {
 
 /**
  * Executes a character search based on provided options and updates the view with the results.
+ * A new search aborts the requests of the previous one, so stale responses never replace newer results.
  * @param {Object} options - The search criteria/options for fetching characters.
+ * @param {boolean} [append=false] - Whether to append the next page instead of starting a new search.
  * @returns {Promise<void>} - Resolves once the character list has been updated in the view.
  */
 async function executeCharacterSearch(options, append = false) {
-    if (!append) {
-        currentPage = 1;
-        hasMoreResults = true;
-        seenCharacters.clear();
-        lastLoadedPage = null;
-        loadingPage = null;
-        processedPages.clear();
-    }
+    const page = options.page || searchSession.currentPage;
+    const abortController = append ? (searchSession.abortController ??= new AbortController()) : searchSession.start(options);
 
-    if (processedPages.has(options.page)) {
-        console.log(`Page ${options.page} already processed, skipping`);
+    if (searchSession.processedPages.has(page)) {
+        console.log(`Page ${page} already processed, skipping`);
         return;
     }
 
-    if (!hasMoreResults) {
+    if (!searchSession.hasMore) {
         console.log('No more results to load');
         return;
     }
 
+    if (!append) {
+        closeCharacterPreview();
+    }
+    showSearchError(null);
+
     // Show loading indicator
     const loadingIndicator = document.getElementById('loading-indicator');
     if (loadingIndicator) {
@@ -286,58 +3021,90 @@ async function executeCharacterSearch(options, append = false) {
     }
 
     try {
-        let characters = await searchCharacters({ ...options, page: options.page || currentPage });
+        let characters = await searchCharacters({ ...options, page, signal: abortController.signal });
+
+        // A newer search started while this one was finishing
+        if (abortController.signal.aborted) {
+            return;
+        }
 
         if (characters && characters.length > 0) {
-            console.log(`Loaded ${characters.length} characters for page ${options.page || currentPage}`);
+            console.log(`Loaded ${characters.length} characters for page ${page}`);
+            // Remembered for the per-page count of results hidden by the blocklist
+            characters.forEach(character => character.page = page);
+            searchSession.addPage(page, characters);
             updateCharacterListInView(characters, append);
-            hasMoreResults = characters.length === extension_settings.chub.findCount;
-            processedPages.add(options.page || currentPage);
         } else {
             console.log('No characters found');
             if (!append) {
+                revokeObjectUrls();
                 characterListContainer.innerHTML = '<div class="no-characters-found">No characters found</div>';
+                refreshBlockedResults();
             }
-            hasMoreResults = false;
+            searchSession.hasMore = false;
         }
     } catch (error) {
+        if (error.name === 'AbortError') {
+            console.log('Search aborted by a newer search');
+            return;
+        }
         console.error('Error executing character search:', error);
-        hasMoreResults = false;
+        // Stop infinite scroll from hammering the API, the Retry button starts it again
+        searchSession.hasMore = false;
+        searchSession.failed = { options, append };
+        showSearchError(error.message);
     } finally {
-        // Hide loading indicator
-        if (loadingIndicator) {
+        // Hide loading indicator, unless a newer search is using it
+        if (loadingIndicator && searchSession.isCurrent(abortController)) {
             loadingIndicator.style.display = 'none';
         }
     }
 }
 
+/**
+ * Shows or hides the search error message in the popup.
+ * @param {string|null} message - The error to show, or null to hide it.
+ */
+function showSearchError(message) {
+    const errorContainer = document.getElementById('search-error');
+    if (!errorContainer) return;
+
+    if (!message) {
+        errorContainer.style.display = 'none';
+        return;
+    }
+
+    errorContainer.style.display = 'flex';
+    errorContainer.querySelector('.search-error-message').textContent = `Search failed: ${message}`;
+}
+
+/**
+ * Runs the last failed search again.
+ */
+function retryFailedSearch() {
+    if (!searchSession.failed) return;
+
+    const { options, append } = searchSession.failed;
+    searchSession.failed = null;
+    searchSession.hasMore = true;
+    executeCharacterSearch(options, append);
+}
+
+
 
 /**
- * Generates the HTML structure for a character list item.
+ * Builds the row of a character or lorebook in the result list, see `buildResultRow`.
  * @param {Object} character - The character data object.
  * @param {number} index - The index of the character in the list.
- * @returns {string} - Returns an HTML string for the character item.
+ * @returns {HTMLElement} - The row element.
  */
 function generateCharacterListItem(character, index) {
-    return `
-        <div class="character-list-item" data-index="${index}" data-path="${character.fullPath}">
-            <img class="thumbnail lazy" 
-                src="${character.url}" 
-                alt="${character.name || 'Character Image'}" />
-            <div class="info">
-                <a href="https://chub.ai/characters/${character.fullPath}" target="_blank">
-                    <div class="name">${character.name || "Default Name"}</div>
-                </a>
-                <a href="https://chub.ai/users/${character.author}" target="_blank">
-                    <span class="author">by ${character.author}</span>
-                </a>
-                <div class="description">${character.description || ''}</div>
-                <div class="tags">${character.tags ? character.tags.map(tag => 
-                    `<span class="tag">${tag}</span>`).join('') : ''}</div>
-            </div>
-            <div data-path="${character.fullPath}" class="menu_button download-btn fa-solid fa-cloud-arrow-down faSmallFontSquareFix"></div>
-        </div>
-    `.trim();
+    return buildResultRow(character, index, {
+        provider: getProvider(character.provider),
+        favorited: isFavorite(character.fullPath),
+        selected: selectedCharacters.has(character.fullPath),
+        libraryStatus: generateLibraryStatus(character),
+    });
 }
 
 // good ol' clamping
@@ -345,6 +3112,287 @@ function clamp(value, min, max) {
     return Math.min(Math.max(value, min), max);
 }
 
+/**
+ * Switches the result list between the list and the gallery grid, as saved in the settings.
+ */
+function applyViewMode() {
+    if (!characterListContainer) return;
+
+    const isGrid = extension_settings.chub.viewMode === 'grid';
+    characterListContainer.classList.toggle('grid-view', isGrid);
+    characterListContainer.style.setProperty('--chub-card-size', `${extension_settings.chub.gridCardSize}px`);
+    characterListContainer.style.setProperty('--chub-thumbnail-size', `${extension_settings.chub.thumbnailSize}px`);
+
+    const gridCardSize = document.getElementById('gridCardSize');
+    if (gridCardSize) {
+        gridCardSize.style.display = isGrid ? '' : 'none';
+    }
+
+    // Rows that came into view with the new layout still need their avatars
+    observeImages();
+}
+
+/**
+ * Handles the arrow and escape keys while the lightbox is open.
+ * @param {KeyboardEvent} event - The keydown event.
+ */
+function onLightboxKeydown(event) {
+    if (event.key === 'ArrowLeft') {
+        stepLightbox(-1);
+    } else if (event.key === 'ArrowRight') {
+        stepLightbox(1);
+    } else if (event.key === 'Escape') {
+        // Don't let the popup close along with the lightbox
+        event.stopPropagation();
+        closeLightbox();
+    } else {
+        return;
+    }
+    event.preventDefault();
+}
+
+/**
+ * Shows the avatar of a result row in the lightbox.
+ * @param {number} index - The index of the row in the result list.
+ * @returns {Promise<void>} - Resolves once the image is shown.
+ */
+async function openLightbox(index) {
+    const lightbox = document.getElementById('chub-lightbox');
+    const rows = getResultRows();
+    if (!lightbox || index < 0 || index >= rows.length) return;
+
+    const opening = lightboxIndex === -1;
+    if (opening) {
+        document.addEventListener('keydown', onLightboxKeydown, true);
+    }
+    lightboxIndex = index;
+    lightbox.style.display = 'flex';
+    if (opening) {
+        lightbox.querySelector('.lightbox-close').focus();
+    }
+    lightbox.querySelector('.lightbox-prev').classList.toggle('disabled', index === 0);
+    lightbox.querySelector('.lightbox-next').classList.toggle('disabled', index === rows.length - 1);
+
+    const row = rows[index];
+    const character = findLoadedCharacter(row.getAttribute('data-path'));
+    const image = lightbox.querySelector('.lightbox-image');
+    lightbox.querySelector('.lightbox-caption').innerHTML = character
+        ? `<b>${escapeHtml(character.name || '')}</b> <span class="author">by ${escapeHtml(character.author || '')}</span>`
+        : '';
+    image.removeAttribute('src');
+
+    // Rows further down may not have loaded their avatar yet
+    const thumbnail = row.querySelector('img.thumbnail');
+    if (thumbnail.classList.contains('lazy')) {
+        thumbnail.classList.remove('lazy');
+        imageObserver?.unobserve(thumbnail);
+        await loadLazyImage(thumbnail);
+    }
+
+    if (lightboxIndex === index && thumbnail.src) {
+        image.src = thumbnail.src;
+    }
+}
+
+/**
+ * Moves the lightbox to the previous or next result.
+ * @param {number} delta - -1 for the previous result, 1 for the next one.
+ */
+function stepLightbox(delta) {
+    if (lightboxIndex === -1) return;
+
+    const count = getResultRows().length;
+    const index = lightboxIndex + delta;
+    if (index >= 0 && index < count) {
+        openLightbox(index);
+    }
+}
+
+/**
+ * Closes the lightbox.
+ */
+function closeLightbox() {
+    if (lightboxIndex === -1) return;
+
+    const index = lightboxIndex;
+    lightboxIndex = -1;
+    document.removeEventListener('keydown', onLightboxKeydown, true);
+    const lightbox = document.getElementById('chub-lightbox');
+    if (lightbox) {
+        lightbox.style.display = 'none';
+        lightbox.querySelector('.lightbox-image').removeAttribute('src');
+        // Leave the focus on the result that was shown last
+        if (lightbox.isConnected) {
+            focusResult(index);
+        }
+    }
+}
+
+/**
+ * Gets the rows of the result list.
+ * @returns {Array<HTMLElement>} - The rows, in display order.
+ */
+function getResultRows() {
+    const selector = showBlockedResults ? '.character-list-item' : '.character-list-item:not(.blocked-result)';
+    return characterListContainer ? Array.from(characterListContainer.querySelectorAll(selector)) : [];
+}
+
+/**
+ * Moves the keyboard focus to a result row. Only the focused row is in the tab order.
+ * @param {number} index - The index of the row, clamped to the list.
+ */
+function focusResult(index) {
+    const rows = getResultRows();
+    if (rows.length === 0) return;
+
+    index = clamp(index, 0, rows.length - 1);
+    rows.forEach((row, i) => row.tabIndex = i === index ? 0 : -1);
+    rows[index].focus();
+    rows[index].scrollIntoView({ block: 'nearest' });
+}
+
+/**
+ * Counts the columns of the result list, so up/down move by a whole row in the grid.
+ * @returns {number} - The number of columns, 1 in the list view.
+ */
+function getGridColumns() {
+    if (!characterListContainer?.classList.contains('grid-view')) {
+        return 1;
+    }
+    return getComputedStyle(characterListContainer).gridTemplateColumns.split(' ').length;
+}
+
+/**
+ * Keyboard navigation of the result list: arrows, Home/End, Enter to preview,
+ * Space to select and I to import the focused result.
+ * @param {KeyboardEvent} event - The keydown event.
+ */
+function onResultListKeydown(event) {
+    const row = event.target;
+    if (!row.classList.contains('character-list-item') || event.ctrlKey || event.metaKey || event.altKey) return;
+
+    const index = getResultRows().indexOf(row);
+    const fullPath = row.getAttribute('data-path');
+    const columns = getGridColumns();
+
+    switch (event.key) {
+        case 'ArrowDown':
+            focusResult(index + columns);
+            break;
+        case 'ArrowUp':
+            focusResult(index - columns);
+            break;
+        case 'ArrowRight':
+            focusResult(index + 1);
+            break;
+        case 'ArrowLeft':
+            focusResult(index - 1);
+            break;
+        case 'Home':
+            focusResult(0);
+            break;
+        case 'End':
+            focusResult(getResultRows().length - 1);
+            break;
+        case 'Enter':
+            if (findLoadedCharacter(fullPath)?.type === 'lorebook') return;
+            openCharacterPreview(fullPath);
+            break;
+        case ' ':
+            row.querySelector('.select-character')?.click();
+            break;
+        case 'i':
+        case 'I':
+            downloadCharacter(fullPath).catch(error => notifyImportFailure(fullPath, error));
+            break;
+        default:
+            return;
+    }
+    event.preventDefault();
+}
+
+/**
+ * Popup-wide shortcuts: / focuses the search box, PageUp/PageDown change the page,
+ * and Enter/Space activate the div-based buttons.
+ * @param {KeyboardEvent} event - The keydown event.
+ */
+function onPopupKeydown(event) {
+    const wrapper = document.querySelector('.list-and-search-wrapper');
+    if (!wrapper || lightboxIndex !== -1 || event.ctrlKey || event.metaKey || event.altKey) return;
+
+    if ((event.key === 'Enter' || event.key === ' ') && wrapper.contains(event.target) && event.target.matches('[role="button"], [role="tab"]')) {
+        event.preventDefault();
+        event.target.click();
+        return;
+    }
+
+    const typing = event.target.closest?.('textarea, select, [contenteditable="true"], input:not([type="checkbox"]):not([type="range"])');
+    if (typing || wrapper.classList.contains('panel-active')) return;
+
+    if (event.key === '/') {
+        event.preventDefault();
+        document.getElementById('characterSearchInput').focus();
+    } else if (event.key === 'PageDown') {
+        event.preventDefault();
+        document.getElementById('pageUpButton').click();
+    } else if (event.key === 'PageUp') {
+        event.preventDefault();
+        document.getElementById('pageDownButton').click();
+    }
+}
+
+/**
+ * Fills the content type and sort dropdowns with the options of the active provider,
+ * keeping the current choices where the provider supports them.
+ */
+function populateProviderOptions() {
+    const provider = getActiveProvider();
+    const fill = (select, options) => {
+        const previous = select.value;
+        select.innerHTML = Object.entries(options).map(([key, label]) => `<option value="${escapeHtml(key)}">${escapeHtml(label)}</option>`).join('');
+        if (Object.hasOwn(options, previous)) {
+            select.value = previous;
+        }
+    };
+
+    fill(document.getElementById('contentType'), provider.contentTypes);
+    fill(document.getElementById('sortOrder'), provider.sortOptions);
+    document.getElementById('customIndexContainer').style.display = provider === selfHostedProvider ? '' : 'none';
+}
+
+/**
+ * Closes the result context menu on clicks anywhere outside of it.
+ * @param {MouseEvent} event - The click event.
+ */
+function onDocumentClick(event) {
+    const menu = document.getElementById('result-context-menu');
+    if (menu && !menu.contains(event.target)) {
+        closeResultContextMenu();
+    }
+}
+
+/**
+ * Adds the document listeners of the open popup, `onSearchPopupClosed` removes them again.
+ * Listeners on the popup's own elements stay with the saved content.
+ */
+function attachPopupListeners() {
+    searchSession.teardown();
+    searchSession.listen(document, 'keydown', onPopupKeydown);
+    searchSession.listen(document, 'click', onDocumentClick);
+}
+
+/**
+ * Saves the popup content for the next opening and releases what only the open popup needs.
+ */
+function onSearchPopupClosed() {
+    savedPopupContent = document.querySelector('.list-and-search-wrapper');
+    searchSession.teardown();
+    closeResultContextMenu();
+    closeLightbox();
+    releaseAvatars();
+    releaseFavoriteAvatars();
+}
+
 /**
  * Displays a popup for character listings based on certain criteria. The popup provides a UI for 
  * character search, and presents the characters in a list view. Users can search characters by 
@@ -366,206 +3414,831 @@ async function displayCharactersInListViewPopup() {
         console.log('Using saved popup content');
         // Append the saved content to the popup container
         callPopup('', "text", '', { okButton: "Close", wide: true, large: true })
-        .then(() => {
-            savedPopupContent = document.querySelector('.list-and-search-wrapper');
-        });
+            .then(onSearchPopupClosed);
 
         document.getElementById('dialogue_popup_text').appendChild(savedPopupContent);
         characterListContainer = document.querySelector('.character-list-popup');
+        attachPopupListeners();
+
+        // The inputs kept their values, but settings may have changed while the popup was closed
+        renderTagEditors();
+        syncAdvancedFilterInputs();
+        syncBlocklistInputs();
+        refreshBlockedResults();
+        renderPresetOptions(document.getElementById('presetSelect').value);
+        renderImportQueue();
+        updateSelectionControls();
+        refreshLibraryStatus();
+        renderUpdatesPanel();
+        renderFavoritesPanel();
+        renderBrowseBanner();
+        reloadAvatars();
+        applyViewMode();
+        renderImportHistory();
+        // Re-attached elements start at the top
+        characterListContainer.scrollTop = searchSession.scrollTop;
         return;
     }
 
-    const readableOptions = {
-        "download_count": "Download Count",
-        "id": "ID",
-        "rating": "Rating",
-        "default": "Default",
-        "rating_count": "Rating Count",
-        "last_activity_at": "Last Activity",
-        "trending_downloads": "Trending Downloads",
-        "created_at": "Creation Date",
-        "name": "Name",
-        "n_tokens": "Token Count",
-        "random": "Random"
-    };
-
     // TODO: This should be a template
     const listLayout = popupState ? popupState : `
     <div class="list-and-search-wrapper" id="list-and-search-wrapper">
-        <div class="character-list-popup">
-            ${chubCharacters.map((character, index) => generateCharacterListItem(character, index)).join('')}
+        <div class="chub-tabs flex-container flex-no-wrap" role="tablist">
+            <div role="tab" tabindex="0" aria-selected="true" class="menu_button chub-tab active" data-tab="search"><i class="fa-solid fa-search"></i> Search</div>
+            <div role="tab" tabindex="0" aria-selected="false" aria-controls="favorites-panel" class="menu_button chub-tab" data-tab="favorites"><i class="fa-solid fa-star"></i> Favorites (<span id="favoritesCount">0</span>)</div>
+            <div role="tab" tabindex="0" aria-selected="false" class="menu_button chub-tab" data-tab="feed" title="New uploads from the authors you follow"><i class="fa-solid fa-rss"></i> Followed (<span id="followedCount">0</span>)</div>
+            <div role="tab" tabindex="0" aria-selected="false" aria-controls="history-panel" class="menu_button chub-tab" data-tab="history"><i class="fa-solid fa-clock-rotate-left"></i> History</div>
+        </div>
+        <div id="history-panel" class="history-panel" role="tabpanel" aria-label="Import history" style="display: none;">
+            <div class="flex-container flex-no-wrap flex-align-center">
+                <input type="search" id="historyFilter" class="text_pole flex1" placeholder="Filter by name, path or error..." aria-label="Filter the import history">
+                <select class="margin0" id="historyOutcome" aria-label="Outcome">
+                    <option value="">All outcomes</option>
+                    <option value="imported">Imported</option>
+                    <option value="replaced">Replaced</option>
+                    <option value="failed">Failed</option>
+                </select>
+                <div role="button" tabindex="0" class="menu_button" id="exportHistoryJson">Export JSON</div>
+                <div role="button" tabindex="0" class="menu_button" id="exportHistoryCsv">Export CSV</div>
+                <div role="button" tabindex="0" class="menu_button" id="clearHistoryButton">Clear</div>
+            </div>
+            <div class="history-list"></div>
+        </div>
+        <div id="favorites-panel" class="favorites-panel" role="tabpanel" aria-label="Favorites" style="display: none;">
+            <div class="flex-container flex-no-wrap flex-align-center">
+                <label for="favoritesSort">Sort By:</label>
+                <select class="margin0" id="favoritesSort">
+                    <option value="addedAt">Recently added</option>
+                    <option value="lastActivityAt">Recently updated</option>
+                    <option value="name">Name</option>
+                    <option value="author">Author</option>
+                </select>
+                <label for="selectAllFavorites">Select all:</label>
+                <input type="checkbox" id="selectAllFavorites">
+                <div role="button" tabindex="0" class="menu_button disabled" id="importFavoritesButton">Import Selected (0)</div>
+            </div>
+            <div class="favorites-list"></div>
+        </div>
+        <div id="browse-banner" class="browse-banner flex-container flex-no-wrap flex-align-center" style="display: none;"></div>
+        <div id="blocked-notice" class="blocked-notice" role="status" style="display: none;">
+            <i class="fa-solid fa-eye-slash"></i>
+            <span class="blocked-count"></span>
+            <a href="javascript:void(0)" id="toggleBlockedResults">Show them</a>
         </div>
-        <div id="loading-indicator" style="display: none; text-align: center; padding: 10px;">
+        <div id="result-context-menu" class="result-context-menu" role="menu" aria-label="Result actions" style="display: none;"></div>
+        <div class="character-list-popup" role="list" aria-label="Search results" aria-keyshortcuts="ArrowUp ArrowDown Home End Enter I"></div>
+        <div id="loading-indicator" role="status" aria-live="polite" style="display: none; text-align: center; padding: 10px;">
             Loading more characters...
         </div>
+        <div id="search-error" role="alert" class="search-error flex-container flex-no-wrap flex-align-center" style="display: none;">
+            <i class="fa-solid fa-triangle-exclamation"></i>
+            <span class="search-error-message flex1"></span>
+            <div role="button" tabindex="0" class="menu_button" id="searchRetryButton">Retry</div>
+        </div>
+        <div id="character-preview" class="character-preview" role="region" aria-label="Character preview" style="display: none;"></div>
+        <div id="chub-lightbox" class="chub-lightbox" role="dialog" aria-modal="true" aria-label="Avatar viewer" style="display: none;">
+            <div role="button" tabindex="0" class="menu_button lightbox-close fa-solid fa-xmark" title="Close" aria-label="Close"></div>
+            <div role="button" tabindex="0" class="menu_button lightbox-prev fa-solid fa-chevron-left" title="Previous" aria-label="Previous"></div>
+            <figure>
+                <img class="lightbox-image" alt="">
+                <figcaption class="lightbox-caption"></figcaption>
+            </figure>
+            <div role="button" tabindex="0" class="menu_button lightbox-next fa-solid fa-chevron-right" title="Next" aria-label="Next"></div>
+        </div>
+        <div id="updates-panel" class="updates-panel" style="display: none;"></div>
+        <div id="import-queue-panel" class="import-queue-panel" style="display: none;">
+            <div class="flex-container flex-no-wrap flex-align-center">
+                <b>Import queue</b>
+                <span class="import-queue-progress"></span>
+                <div class="import-queue-bar"><div class="import-queue-bar-fill"></div></div>
+                <div role="button" tabindex="0" class="menu_button" id="importQueueRetry">Retry failed</div>
+                <div role="button" tabindex="0" class="menu_button" id="importQueueCancel">Cancel remaining</div>
+            </div>
+            <div class="import-queue-summary"></div>
+            <div class="import-queue-items"></div>
+        </div>
         <hr>
         <div class="search-container">
             <div class="flex-container flex-no-wrap flex-align-center">
             <label for="characterSearchInput"><i class="fas fa-search"></i></label>
-            <input type="text" id="characterSearchInput" class="text_pole flex1" placeholder="Search CHUB for characters...">
+            <input type="text" id="characterSearchInput" class="text_pole flex1" aria-label="Search" aria-keyshortcuts="/" placeholder="Search CHUB for characters or lorebooks...">
             </div>
             <div class="flex-container flex-no-wrap flex-align-center">
             <label for="includeTags"><i class="fas fa-plus-square"></i></label>
-            <input type="text" id="includeTags" class="text_pole flex1" placeholder="Include tags (comma separated)">
+            <div class="tag-editor text_pole flex1" id="includeTagsEditor">
+                <span class="tag-chips"></span>
+                <input type="text" id="includeTags" class="tag-editor-input" placeholder="Include tags" autocomplete="off" role="combobox" aria-label="Include tags" aria-autocomplete="list" aria-expanded="false" aria-controls="includeTagsSuggestions">
+                <div class="tag-suggestions" id="includeTagsSuggestions" role="listbox" aria-label="Suggested tags" style="display: none;"></div>
+            </div>
             </div>
-            <div class="flex-container">
+            <div class="flex-container flex-no-wrap flex-align-center">
             <label for="excludeTags"><i class="fas fa-minus-square"></i></label>
-            <input type="text" id="excludeTags" class="text_pole flex1" placeholder="Exclude tags (comma separated)">
+            <div class="tag-editor text_pole flex1" id="excludeTagsEditor">
+                <span class="tag-chips"></span>
+                <input type="text" id="excludeTags" class="tag-editor-input" placeholder="Exclude tags" autocomplete="off" role="combobox" aria-label="Exclude tags" aria-autocomplete="list" aria-expanded="false" aria-controls="excludeTagsSuggestions">
+                <div class="tag-suggestions" id="excludeTagsSuggestions" role="listbox" aria-label="Suggested tags" style="display: none;"></div>
+            </div>
             </div>
+            <div class="tag-warning" id="tagWarning" style="display: none;"></div>
+            <div class="flex-container flex-no-wrap flex-align-center search-presets">
+                <label for="presetSelect"><i class="fas fa-bookmark"></i></label>
+                <select class="margin0 flex1" id="presetSelect"></select>
+                <div role="button" tabindex="0" class="menu_button fa-solid fa-star" id="defaultPresetButton" title="Run this preset when the search opens" aria-label="Run this preset when the search opens"></div>
+                <div role="button" tabindex="0" class="menu_button fa-solid fa-trash" id="deletePresetButton" title="Delete this preset" aria-label="Delete this preset"></div>
+                <input type="text" id="presetName" class="text_pole" placeholder="Preset name">
+                <div role="button" tabindex="0" class="menu_button" id="savePresetButton" title="Save the current search as a preset">Save</div>
+                <div role="button" tabindex="0" class="menu_button fa-solid fa-file-export" id="exportPresetsButton" title="Export presets" aria-label="Export presets"></div>
+                <div role="button" tabindex="0" class="menu_button fa-solid fa-file-import" id="importPresetsButton" title="Import presets" aria-label="Import presets"></div>
+                <input type="file" id="importPresetsFile" accept=".json,application/json" hidden>
+            </div>
+            <details class="advanced-filters" id="advancedFilters">
+                <summary>Advanced</summary>
+                <div class="flex-container flex-align-center">
+                    <label for="filterOrder">Order:</label>
+                    <select class="margin0" id="filterOrder" data-filter="asc">
+                        <option value="false">Descending</option>
+                        <option value="true">Ascending</option>
+                    </select>
+                    <label for="filterIncludeForks">Include forks:</label>
+                    <input type="checkbox" id="filterIncludeForks" data-filter="includeForks">
+                    <label for="filterRequireImages">Require images:</label>
+                    <input type="checkbox" id="filterRequireImages" data-filter="requireImages">
+                    <label for="filterRequireCustomPrompt">Require custom prompt:</label>
+                    <input type="checkbox" id="filterRequireCustomPrompt" data-filter="requireCustomPrompt">
+                </div>
+                <div class="flex-container flex-align-center">
+                    <label for="filterMinTokens">Tokens:</label>
+                    <input type="number" id="filterMinTokens" data-filter="minTokens" class="text_pole textarea_compact wide10pMinFit" min="0" placeholder="min">
+                    <span>-</span>
+                    <input type="number" id="filterMaxTokens" data-filter="maxTokens" class="text_pole textarea_compact wide10pMinFit" min="0" placeholder="max">
+                    <label for="filterMinRating">Min rating:</label>
+                    <input type="number" id="filterMinRating" data-filter="minRating" class="text_pole textarea_compact wide10pMinFit" min="0" max="5" step="0.5">
+                </div>
+                <div class="flex-container flex-align-center">
+                    <label for="filterCreatedAfter">Created:</label>
+                    <input type="date" id="filterCreatedAfter" data-filter="createdAfter" class="text_pole textarea_compact">
+                    <span>-</span>
+                    <input type="date" id="filterCreatedBefore" data-filter="createdBefore" class="text_pole textarea_compact">
+                    <label for="filterUpdatedAfter">Updated:</label>
+                    <input type="date" id="filterUpdatedAfter" data-filter="updatedAfter" class="text_pole textarea_compact">
+                    <span>-</span>
+                    <input type="date" id="filterUpdatedBefore" data-filter="updatedBefore" class="text_pole textarea_compact">
+                </div>
+            </details>
             <div class="page-buttons flex-container flex-no-wrap flex-align-center">
                 <div class="flex-container flex-no-wrap flex-align-center">
-                    <button class="menu_button" id="pageDownButton"><i class="fas fa-chevron-left"></i></button>
+                    <button class="menu_button" id="pageDownButton" title="Previous page (PageUp)" aria-label="Previous page" aria-keyshortcuts="PageUp"><i class="fas fa-chevron-left"></i></button>
                     <label for="pageNumber">Page:</label>
                     <input type="number" id="pageNumber" class="text_pole textarea_compact wide10pMinFit" min="1" value="1">
-                    <button class="menu_button" id="pageUpButton"><i class="fas fa-chevron-right"></i></button>
+                    <button class="menu_button" id="pageUpButton" title="Next page (PageDown)" aria-label="Next page" aria-keyshortcuts="PageDown"><i class="fas fa-chevron-right"></i></button>
+                </div>
+                <div class="flex-container flex-no-wrap flex-align-center">
+                    <label for="providerSelect">Source:</label>
+                    <select class="margin0" id="providerSelect">
+                    ${Array.from(searchProviders.values()).map(provider => `<option value="${escapeHtml(provider.id)}">${escapeHtml(provider.name)}</option>`).join('')}
+                    </select>
+                </div>
+                <div class="flex-container flex-no-wrap flex-align-center">
+                    <label for="contentType">Type:</label>
+                    <select class="margin0" id="contentType"></select>
                 </div>
                 <div class="flex-container flex-no-wrap flex-align-center">
                 <label for="sortOrder">Sort By:</label> <!-- This is the label for sorting -->
-                <select class="margin0" id="sortOrder">
-                ${Object.keys(readableOptions).map(key => `<option value="${key}">${readableOptions[key]}</option>`).join('')}
-                </select>
+                <select class="margin0" id="sortOrder"></select>
                 </div>
                 <div class="flex-container flex-no-wrap flex-align-center">
                     <label for="nsfwCheckbox">NSFW:</label>
                     <input type="checkbox" id="nsfwCheckbox">
                 </div>
+                <div class="flex-container flex-no-wrap flex-align-center">
+                    <label for="viewMode">View:</label>
+                    <select class="margin0" id="viewMode">
+                        <option value="list">List</option>
+                        <option value="grid">Grid</option>
+                    </select>
+                    <input type="range" id="gridCardSize" min="100" max="320" step="20" title="Card size">
+                </div>
                 <div class="flex-container flex-no-wrap flex-align-center">
                     <label for="showFullDescriptions">Show Full Descriptions:</label>
                     <input type="checkbox" id="showFullDescriptions">
                 </div>
-                <div class="menu_button" id="characterSearchButton">Search</div>
+                <div role="button" tabindex="0" class="menu_button" id="characterSearchButton">Search</div>
+            </div>
+            <div class="flex-container flex-no-wrap flex-align-center" id="customIndexContainer" style="display: none;">
+                <label for="customIndexUrl"><i class="fas fa-server"></i></label>
+                <input type="text" id="customIndexUrl" class="text_pole flex1" placeholder="Self-hosted index URL, e.g. http://localhost:8080">
+            </div>
+            <details class="connection-settings" id="importPipelineSettings">
+                <summary>Import options</summary>
+                <div class="flex-container flex-align-center">
+                    <label><input type="checkbox" data-pipeline="applyTags"> Turn Chub topics into tags</label>
+                    <label><input type="checkbox" data-pipeline="createMissingTags"> Create missing tags</label>
+                    <label><input type="checkbox" data-pipeline="storeSource"> Store the source in the card</label>
+                    <label><input type="checkbox" data-pipeline="startChat"> Open a chat after importing</label>
+                </div>
+                <div class="flex-container flex-no-wrap">
+                    <label class="flex1">Tag mapping (one <code>topic = tag</code> per line, nothing after = drops the topic)
+                        <textarea class="text_pole" id="tagMappingInput" rows="4"></textarea>
+                    </label>
+                    <label class="flex1">Ignored topics (one per line)
+                        <textarea class="text_pole" id="ignoredTagsInput" rows="4"></textarea>
+                    </label>
+                </div>
+            </details>
+            <details class="connection-settings">
+                <summary>Blocklist</summary>
+                <small>One entry per line. Matching results are hidden after each search; right-click a result to add its author or tags.</small>
+                <div class="flex-container flex-no-wrap">
+                    <label class="flex1">Authors
+                        <textarea class="text_pole blocklist-input" data-blocklist="authors" rows="4"></textarea>
+                    </label>
+                    <label class="flex1">Tags
+                        <textarea class="text_pole blocklist-input" data-blocklist="tags" rows="4"></textarea>
+                    </label>
+                    <label class="flex1">Keywords (regex, name and tagline)
+                        <textarea class="text_pole blocklist-input" data-blocklist="keywords" rows="4"></textarea>
+                    </label>
+                </div>
+            </details>
+            <details class="connection-settings">
+                <summary>Connection</summary>
+                <div class="flex-container flex-no-wrap flex-align-center">
+                    <label for="apiBaseUrl">API URL:</label>
+                    <input type="text" id="apiBaseUrl" class="text_pole flex1" placeholder="${DEFAULT_API_BASE_URL}">
+                </div>
+                <div class="flex-container flex-no-wrap flex-align-center">
+                    <label for="avatarBaseUrl">Avatar URL:</label>
+                    <input type="text" id="avatarBaseUrl" class="text_pole flex1" placeholder="${DEFAULT_AVATAR_BASE_URL}">
+                </div>
+                <div class="flex-container flex-no-wrap flex-align-center">
+                    <label for="useServerProxy" title="Requires enableCorsProxy in the SillyTavern config.yaml">Route requests through the SillyTavern server:</label>
+                    <input type="checkbox" id="useServerProxy">
+                </div>
+            </details>
+            <details class="connection-settings">
+                <summary>Cache</summary>
+                <div class="flex-container flex-no-wrap flex-align-center">
+                    <label for="cacheEnabled">Cache search results and avatars:</label>
+                    <input type="checkbox" id="cacheEnabled">
+                </div>
+                <div class="flex-container flex-no-wrap flex-align-center">
+                    <label for="cacheTtlMinutes">Keep for (minutes):</label>
+                    <input type="number" id="cacheTtlMinutes" class="text_pole textarea_compact wide10pMinFit" min="1">
+                    <label for="cacheMaxSizeMb">Max size (MB):</label>
+                    <input type="number" id="cacheMaxSizeMb" class="text_pole textarea_compact wide10pMinFit" min="1">
+                    <div role="button" tabindex="0" class="menu_button" id="clearCacheButton">Clear cache</div>
+                </div>
+            </details>
+            <div class="batch-controls flex-container flex-no-wrap flex-align-center">
+                <label for="selectAllOnPage">Select all on page:</label>
+                <input type="checkbox" id="selectAllOnPage">
+                <div role="button" tabindex="0" class="menu_button disabled" id="importSelectedButton">Import Selected (0)</div>
+                <div role="button" tabindex="0" class="menu_button" id="checkUpdatesButton">Check for updates</div>
+                <label for="checkUpdatesOnStartup">Check on startup:</label>
+                <input type="checkbox" id="checkUpdatesOnStartup">
             </div>
 
 
-        </div>
-    </div>
-`;
+        </div>
+    </div>
+`;
+
+    // Call the popup with our list layout
+    callPopup(listLayout, "text", '', { okButton: "Close", wide: true, large: true })
+        .then(onSearchPopupClosed);
+
+    characterListContainer = document.querySelector('.character-list-popup');
+    attachPopupListeners();
+    // The rows are built as elements, so they go in once the popup exists
+    updateCharacterListInView(searchSession.results);
+
+    characterListContainer.addEventListener('scroll', function () {
+        searchSession.scrollTop = characterListContainer.scrollTop;
+    });
+
+    characterListContainer.addEventListener('click', function (event) {
+        if (event.target.classList.contains('thumbnail')) {
+            const row = event.target.closest('.character-list-item');
+            openLightbox(getResultRows().indexOf(row));
+        }
+    });
+
+    characterListContainer.addEventListener('keydown', onResultListKeydown);
+
+    document.getElementById('chub-lightbox').addEventListener('click', function (event) {
+        if (event.target.closest('.lightbox-prev')) {
+            stepLightbox(-1);
+        } else if (event.target.closest('.lightbox-next')) {
+            stepLightbox(1);
+        } else if (event.target.closest('.lightbox-close') || event.target.id === 'chub-lightbox') {
+            closeLightbox();
+        }
+    });
+
+    characterListContainer.addEventListener('click', function (event) {
+        const description = event.target.closest('.description');
+        if (description && !event.target.closest('a')) {
+            description.classList.toggle('expanded');
+        }
+    });
+
+
+    characterListContainer.addEventListener('click', async function (event) {
+        if (event.target.classList.contains('download-btn')) {
+            const fullPath = event.target.getAttribute('data-path');
+            downloadCharacter(fullPath).catch(error => notifyImportFailure(fullPath, error));
+        }
+    });
+
+    characterListContainer.addEventListener('click', function (event) {
+        const fullPath = event.target.closest('.character-list-item')?.getAttribute('data-path');
+        if (!fullPath) return;
+
+        // Ctrl/Cmd-click on the name still opens the Chub page in a new tab
+        const nameClicked = event.target.classList.contains('name') && !event.ctrlKey && !event.metaKey && findLoadedCharacter(fullPath)?.type !== 'lorebook';
+        if (event.target.classList.contains('preview-btn') || nameClicked) {
+            event.preventDefault();
+            openCharacterPreview(fullPath);
+        }
+    });
+
+    characterListContainer.addEventListener('click', function (event) {
+        const fullPath = event.target.getAttribute('data-path');
+        if (event.target.classList.contains('update-replace-btn')) {
+            const preserveFileName = event.target.getAttribute('data-avatar');
+            downloadCharacter(fullPath, { preserveFileName }).catch(error => notifyImportFailure(fullPath, error));
+        } else if (event.target.classList.contains('update-copy-btn')) {
+            downloadCharacter(fullPath).catch(error => notifyImportFailure(fullPath, error));
+        }
+    });
+
+    document.getElementById('character-preview').addEventListener('click', function (event) {
+        if (event.target.closest('.preview-back')) {
+            closeCharacterPreview();
+        } else if (event.target.closest('.preview-import')) {
+            const fullPath = event.target.closest('.preview-import').getAttribute('data-path');
+            downloadCharacter(fullPath).catch(error => notifyImportFailure(fullPath, error));
+        } else if (event.target.classList.contains('preview-import-version')) {
+            const fullPath = event.target.getAttribute('data-path');
+            const version = { ref: event.target.getAttribute('data-version'), date: event.target.getAttribute('data-date') };
+            downloadCharacter(fullPath, { version }).catch(error => notifyImportFailure(fullPath, error));
+        } else if (event.target.classList.contains('preview-fork-open')) {
+            openCharacterPreview(event.target.getAttribute('data-path'));
+        } else if (event.target.classList.contains('preview-fork-import')) {
+            const fullPath = event.target.getAttribute('data-path');
+            downloadCharacter(fullPath).catch(error => notifyImportFailure(fullPath, error));
+        }
+    });
+
+    characterListContainer.addEventListener('click', function (event) {
+        // Ctrl/Cmd-click still opens the profile page in a new tab
+        if (event.target.classList.contains('author') && !event.ctrlKey && !event.metaKey) {
+            const character = findLoadedCharacter(event.target.closest('.character-list-item')?.getAttribute('data-path'));
+            if (character?.author) {
+                event.preventDefault();
+                setBrowseMode({ type: 'author', author: character.author });
+            }
+        }
+    });
+
+    characterListContainer.addEventListener('click', function (event) {
+        if (event.target.classList.contains('favorite-btn')) {
+            const character = findLoadedCharacter(event.target.getAttribute('data-path'));
+            if (character) {
+                toggleFavorite(character);
+            }
+        }
+    });
 
-    // Call the popup with our list layout
-    callPopup(listLayout, "text", '', { okButton: "Close", wide: true, large: true })
-        .then(() => {
-            savedPopupContent = document.querySelector('.list-and-search-wrapper');
+    document.querySelectorAll('.chub-tab').forEach(button => {
+        button.addEventListener('click', function () {
+            const tab = button.getAttribute('data-tab');
+            if (tab === 'feed') {
+                setBrowseMode({ type: 'feed' });
+            } else if (tab === 'search' && browseMode?.type === 'feed') {
+                setBrowseMode(null);
+            } else {
+                switchPopupTab(tab);
+            }
         });
+    });
 
-    characterListContainer = document.querySelector('.character-list-popup');   
+    document.getElementById('browse-banner').addEventListener('click', function (event) {
+        if (event.target.closest('.browse-back')) {
+            setBrowseMode(null);
+        } else if (event.target.closest('.follow-btn')) {
+            toggleFollowAuthor(event.target.closest('.follow-btn').getAttribute('data-author'));
+        }
+    });
+    renderBrowseBanner();
 
-    let clone = null;  // Store reference to the cloned image
+    const favoritesPanel = document.getElementById('favorites-panel');
+    const favoritesSort = document.getElementById('favoritesSort');
+    favoritesSort.value = extension_settings.chub.favoritesSort;
+    favoritesSort.addEventListener('change', function (event) {
+        extension_settings.chub.favoritesSort = event.target.value;
+        saveSettingsDebounced();
+        renderFavoritesPanel();
+    });
 
-    characterListContainer.addEventListener('click', function (event) {
-        if (event.target.tagName === 'IMG') {
-            const image = event.target;
+    favoritesPanel.addEventListener('click', function (event) {
+        const fullPath = event.target.getAttribute('data-path');
+        const favorite = extension_settings.chub.favorites[fullPath];
+        if (!favorite) return;
 
-            if (clone) {  // If clone exists, remove it
-                document.body.removeChild(clone);
-                clone = null;
-                return;  // Exit the function
+        if (event.target.classList.contains('favorite-btn')) {
+            toggleFavorite(favorite);
+        } else if (event.target.classList.contains('favorite-import-btn')) {
+            downloadCharacter(fullPath).catch(error => notifyImportFailure(fullPath, error));
+        } else if (event.target.classList.contains('update-replace-btn')) {
+            const preserveFileName = event.target.getAttribute('data-avatar');
+            downloadCharacter(fullPath, { preserveFileName }).catch(error => notifyImportFailure(fullPath, error));
+        } else if (event.target.classList.contains('update-copy-btn')) {
+            downloadCharacter(fullPath).catch(error => notifyImportFailure(fullPath, error));
+        }
+    });
+
+    favoritesPanel.addEventListener('input', function (event) {
+        if (event.target.classList.contains('favorite-note')) {
+            const favorite = extension_settings.chub.favorites[event.target.getAttribute('data-path')];
+            if (favorite) {
+                favorite.note = event.target.value;
+                saveSettingsDebounced();
             }
+        }
+    });
 
-            const rect = image.getBoundingClientRect();
+    favoritesPanel.addEventListener('change', function (event) {
+        if (event.target.classList.contains('select-favorite')) {
+            const fullPath = event.target.getAttribute('data-path');
+            if (event.target.checked) {
+                selectedFavorites.add(fullPath);
+            } else {
+                selectedFavorites.delete(fullPath);
+            }
+            updateFavoriteSelectionControls();
+        }
+    });
 
-            clone = image.cloneNode(true);
-            clone.style.position = 'absolute';
-            clone.style.top = `${rect.top + window.scrollY}px`;
-            clone.style.left = `${rect.left + window.scrollX}px`;
-            clone.style.transform = 'scale(4)';  // Enlarge by 4 times
-            clone.style.zIndex = 99999;  // High value to ensure it's above other elements
-            clone.style.objectFit = 'contain';
+    document.getElementById('selectAllFavorites').addEventListener('change', function (event) {
+        favoritesPanel.querySelectorAll('.select-favorite').forEach(box => {
+            box.checked = event.target.checked;
+            if (box.checked) {
+                selectedFavorites.add(box.getAttribute('data-path'));
+            } else {
+                selectedFavorites.delete(box.getAttribute('data-path'));
+            }
+        });
+        updateFavoriteSelectionControls();
+    });
 
-            document.body.appendChild(clone);
+    document.getElementById('importFavoritesButton').addEventListener('click', function () {
+        if (selectedFavorites.size === 0) return;
+        const favorites = extension_settings.chub.favorites;
+        enqueueImports(Array.from(selectedFavorites).filter(fullPath => favorites[fullPath]).map(fullPath => ({ fullPath, name: favorites[fullPath].name })));
+        selectedFavorites.clear();
+        favoritesPanel.querySelectorAll('.select-favorite').forEach(box => box.checked = false);
+        updateFavoriteSelectionControls();
+    });
+    renderFavoritesPanel();
 
-            // Prevent this click event from reaching the document's click listener
-            event.stopPropagation();
+    const historyPanel = document.getElementById('history-panel');
+    document.getElementById('historyFilter').addEventListener('input', debounce(renderImportHistory, 200));
+    document.getElementById('historyOutcome').addEventListener('change', renderImportHistory);
+    document.getElementById('exportHistoryJson').addEventListener('click', () => exportImportHistory('json'));
+    document.getElementById('exportHistoryCsv').addEventListener('click', () => exportImportHistory('csv'));
+    document.getElementById('clearHistoryButton').addEventListener('click', function () {
+        if (!confirm('Clear the whole import history?')) return;
+        extension_settings.chub.importHistory = [];
+        saveSettingsDebounced();
+        renderImportHistory();
+    });
+    historyPanel.addEventListener('click', function (event) {
+        if (event.target.classList.contains('history-reimport')) {
+            const fullPath = event.target.getAttribute('data-path');
+            // Same provider as the source link next to it, not the active one
+            const providerId = event.target.getAttribute('data-provider');
+            const provider = providerId ? getProvider(providerId) : resolveProvider(fullPath);
+            downloadCharacter(fullPath, { provider }).catch(error => notifyImportFailure(fullPath, error));
         }
     });
 
     characterListContainer.addEventListener('click', function (event) {
-        if (event.target.classList.contains('description')) {
-            event.target.classList.toggle('expanded');
+        if (event.target.classList.contains('tag')) {
+            addTagFilter(event.shiftKey ? 'exclude' : 'include', event.target.textContent);
         }
     });
 
-    // Add event listener to remove the clone on next click anywhere
-    document.addEventListener('click', function handler() {
-        if (clone) {
-            document.body.removeChild(clone);
-            clone = null;
+    characterListContainer.addEventListener('contextmenu', function (event) {
+        const row = event.target.closest('.character-list-item');
+        if (row) {
+            event.preventDefault();
+            openResultContextMenu(event, row);
         }
     });
 
+    const resultContextMenu = document.getElementById('result-context-menu');
+    resultContextMenu.addEventListener('click', function (event) {
+        const item = event.target.closest('.result-context-item');
+        if (!item) return;
 
-    characterListContainer.addEventListener('click', async function (event) {
-        if (event.target.classList.contains('download-btn')) {
-            downloadCharacter(event.target.getAttribute('data-path'));
+        const value = item.getAttribute('data-value');
+        switch (item.getAttribute('data-action')) {
+            case 'exclude-tag':
+                addTagFilter('exclude', value);
+                break;
+            case 'hide-tag':
+                addToBlocklist('tags', value);
+                break;
+            case 'hide-author':
+                addToBlocklist('authors', value);
+                break;
         }
+        closeResultContextMenu();
     });
+    resultContextMenu.addEventListener('keydown', function (event) {
+        const items = Array.from(resultContextMenu.querySelectorAll('.result-context-item'));
+        const index = items.indexOf(document.activeElement);
+        if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+            event.preventDefault();
+            items[(index + (event.key === 'ArrowDown' ? 1 : -1) + items.length) % items.length]?.focus();
+        } else if (event.key === 'Enter' || event.key === ' ') {
+            event.preventDefault();
+            document.activeElement.click();
+        } else if (event.key === 'Escape') {
+            event.preventDefault();
+            event.stopPropagation();
+            closeResultContextMenu();
+        }
+    });
+    characterListContainer.addEventListener('scroll', closeResultContextMenu);
 
-    const executeCharacterSearchDebounced = debounce((options) => {
-        if (!isLoading) {
-            isLoading = true;
-            executeCharacterSearch(options)
-                .finally(() => {
-                    isLoading = false;
-                });
+    document.getElementById('toggleBlockedResults').addEventListener('click', function () {
+        showBlockedResults = !showBlockedResults;
+        refreshBlockedResults();
+    });
+
+    syncBlocklistInputs();
+    document.querySelectorAll('.blocklist-input').forEach(input => {
+        input.addEventListener('change', function () {
+            const kind = input.getAttribute('data-blocklist');
+            const entries = [...new Set(input.value.split('\n').map(entry => entry.trim()).filter(Boolean))];
+            const invalid = kind === 'keywords' ? entries.filter(entry => {
+                try {
+                    new RegExp(entry);
+                    return false;
+                } catch {
+                    return true;
+                }
+            }) : [];
+            if (invalid.length > 0) {
+                toastr.warning(`Invalid patterns are ignored: ${invalid.join(', ')}`, 'Chub Search');
+            }
+
+            extension_settings.chub.blocklist[kind] = entries;
+            saveSettingsDebounced();
+            refreshBlockedResults();
+        });
+    });
+
+    const pipeline = extension_settings.chub.importPipeline;
+    document.querySelectorAll('#importPipelineSettings [data-pipeline]').forEach(input => {
+        const key = input.getAttribute('data-pipeline');
+        input.checked = pipeline[key];
+        input.addEventListener('change', function () {
+            extension_settings.chub.importPipeline[key] = input.checked;
+            saveSettingsDebounced();
+        });
+    });
+
+    const tagMappingInput = document.getElementById('tagMappingInput');
+    tagMappingInput.value = Object.entries(pipeline.tagMapping).map(([topic, tag]) => `${topic} = ${tag}`).join('\n');
+    tagMappingInput.addEventListener('change', function () {
+        extension_settings.chub.importPipeline.tagMapping = parseTagMapping(tagMappingInput.value);
+        saveSettingsDebounced();
+    });
+
+    const ignoredTagsInput = document.getElementById('ignoredTagsInput');
+    ignoredTagsInput.value = pipeline.ignoredTags.join('\n');
+    ignoredTagsInput.addEventListener('change', function () {
+        extension_settings.chub.importPipeline.ignoredTags = [...new Set(ignoredTagsInput.value.split('\n').map(tag => tag.trim()).filter(Boolean))];
+        saveSettingsDebounced();
+    });
+
+    characterListContainer.addEventListener('change', function (event) {
+        if (event.target.classList.contains('select-character')) {
+            const fullPath = event.target.getAttribute('data-path');
+            if (event.target.checked) {
+                selectedCharacters.set(fullPath, { fullPath, name: event.target.getAttribute('data-name') });
+            } else {
+                selectedCharacters.delete(fullPath);
+            }
+            updateSelectionControls();
+        }
+    });
+
+    document.getElementById('selectAllOnPage').addEventListener('change', function (event) {
+        getSelectableBoxes().forEach(box => {
+            box.checked = event.target.checked;
+            const fullPath = box.getAttribute('data-path');
+            if (box.checked) {
+                selectedCharacters.set(fullPath, { fullPath, name: box.getAttribute('data-name') });
+            } else {
+                selectedCharacters.delete(fullPath);
+            }
+        });
+        updateSelectionControls();
+    });
+
+    document.getElementById('importSelectedButton').addEventListener('click', function () {
+        if (selectedCharacters.size === 0) return;
+        enqueueImports(Array.from(selectedCharacters.values()));
+        selectedCharacters.clear();
+        characterListContainer.querySelectorAll('.select-character').forEach(box => box.checked = false);
+        updateSelectionControls();
+    });
+
+    document.getElementById('checkUpdatesButton').addEventListener('click', function () {
+        checkForUpdates().then(updates => {
+            if (updates.length === 0) {
+                toastr.info('All tracked characters are up to date');
+            }
+        });
+    });
+
+    const checkUpdatesOnStartup = document.getElementById('checkUpdatesOnStartup');
+    checkUpdatesOnStartup.checked = extension_settings.chub.checkUpdatesOnStartup;
+    checkUpdatesOnStartup.addEventListener('change', function (event) {
+        extension_settings.chub.checkUpdatesOnStartup = event.target.checked;
+        saveSettingsDebounced();
+    });
+
+    document.getElementById('updates-panel').addEventListener('click', function (event) {
+        if (event.target.classList.contains('update-reimport-btn')) {
+            const fullPath = event.target.getAttribute('data-path');
+            reimportTrackedCharacter(fullPath).catch(error => notifyImportFailure(fullPath, error));
         }
-    }, 250); // Reduced from 300ms to 250ms
+    });
+
+    document.getElementById('searchRetryButton').addEventListener('click', retryFailedSearch);
+    document.getElementById('importQueueRetry').addEventListener('click', retryFailedImports);
+    document.getElementById('importQueueCancel').addEventListener('click', cancelPendingImports);
 
     // Combine the 'keydown' and 'click' event listeners for search functionality, debounce the inputs
     const handleSearch = async function (e) {
         console.log('handleSearch', e);
-        if (e.type === 'keydown' && e.key !== 'Enter' && e.target.id !== 'includeTags' && e.target.id !== 'excludeTags') {
+        if (e.type === 'keydown' && e.key !== 'Enter') {
             return;
         }
 
-        const splitAndTrim = (str) => {
-            str = str.trim();
-            if (!str.includes(',')) {
-                return [str];
-            }
-            return str.split(',').map(tag => tag.trim());
-        };
+        // A new search leaves the author view and the feed; sorting and paging stay in the author view
+        const searchInputs = ['characterSearchInput', 'characterSearchButton', 'includeTagsEditor', 'presetSelect'];
+        if (browseMode && (browseMode.type === 'feed' || searchInputs.includes(e.target.id)) && e.type !== 'browsechange') {
+            browseMode = null;
+            switchPopupTab('search');
+            renderBrowseBanner();
+        }
+
+        if (browseMode?.type === 'feed') {
+            loadFollowedFeed().catch(error => showSearchError(error.message));
+            return;
+        }
 
-        const searchTerm = document.getElementById('characterSearchInput').value;
-        const includeTags = splitAndTrim(document.getElementById('includeTags').value);
-        const excludeTags = splitAndTrim(document.getElementById('excludeTags').value);
-        const nsfw = document.getElementById('nsfwCheckbox').checked;
-        const sort = document.getElementById('sortOrder').value;
-        let page = document.getElementById('pageNumber').value;
+        let page = Number(document.getElementById('pageNumber').value);
 
-        // Reset pagination state for any search parameter change except page navigation
+        // Any search parameter change except page navigation starts from the first page
         if (e.target.id !== 'pageNumber' && e.target.id !== 'pageUpButton' && e.target.id !== 'pageDownButton') {
             page = 1;
-            document.getElementById('pageNumber').value = 1;
-            currentPage = 1;
-            hasMoreResults = true;
-            seenCharacters.clear();
-            processedPages.clear();
-            lastLoadedPage = null;
-            loadingPage = null;
-            isLoading = false;
         }
 
         // if page below 0, set to 1
-        if (page < 1) {
+        if (!(page >= 1)) {
             page = 1;
-            document.getElementById('pageNumber').value = 1;
         }
+        document.getElementById('pageNumber').value = page;
 
-        executeCharacterSearch({
-            searchTerm,
-            includeTags,
-            excludeTags,
-            nsfw,
-            sort,
-            page: currentPage
-        }, false);
+        // Starts a new session, see executeCharacterSearch
+        executeCharacterSearch(getSearchOptions(page), false);
     };
 
     // debounce the inputs
     document.getElementById('characterSearchInput').addEventListener('change', handleSearch);
     document.getElementById('characterSearchButton').addEventListener('click', handleSearch);
-    document.getElementById('includeTags').addEventListener('keyup', handleSearch);
-    document.getElementById('excludeTags').addEventListener('keyup', handleSearch);
+    setupTagEditor('include');
+    setupTagEditor('exclude');
+    renderTagEditors();
+    document.getElementById('includeTagsEditor').addEventListener('tagschange', handleSearch);
+    characterListContainer.addEventListener('browsechange', handleSearch);
     document.getElementById('sortOrder').addEventListener('change', handleSearch);
+    document.getElementById('contentType').addEventListener('change', handleSearch);
+
+    // Advanced filters are saved as the defaults for the next searches as soon as they change
+    syncAdvancedFilterInputs();
+    document.querySelectorAll('#advancedFilters [data-filter]').forEach(input => {
+        const key = input.getAttribute('data-filter');
+        input.addEventListener('change', function (event) {
+            let value;
+            if (input.type === 'checkbox') {
+                value = input.checked;
+            } else if (input.type === 'number') {
+                value = input.value === '' ? null : Number(input.value);
+            } else if (key === 'asc') {
+                value = input.value === 'true';
+            } else {
+                value = input.value;
+            }
+
+            extension_settings.chub.advancedFilters = { ...getAdvancedFilters(), [key]: value };
+            saveSettingsDebounced();
+            handleSearch(event);
+        });
+    });
+
+    const providerSelect = document.getElementById('providerSelect');
+    providerSelect.value = getActiveProvider().id;
+    populateProviderOptions();
+
+    // Start from the defaults of the settings drawer
+    const sortOrder = document.getElementById('sortOrder');
+    if (Object.hasOwn(getActiveProvider().sortOptions, extension_settings.chub.defaultSort)) {
+        sortOrder.value = extension_settings.chub.defaultSort;
+    }
+    document.getElementById('nsfwCheckbox').checked = extension_settings.chub.nsfw;
+    providerSelect.addEventListener('change', function (event) {
+        extension_settings.chub.provider = event.target.value;
+        saveSettingsDebounced();
+        populateProviderOptions();
+        // Each provider has its own tags and query limit
+        knownTags = null;
+        renderTagEditors();
+        handleSearch(event);
+    });
+
+    const apiBaseUrl = document.getElementById('apiBaseUrl');
+    apiBaseUrl.value = extension_settings.chub.apiBaseUrl;
+    apiBaseUrl.addEventListener('change', function (event) {
+        extension_settings.chub.apiBaseUrl = event.target.value.trim() || DEFAULT_API_BASE_URL;
+        event.target.value = extension_settings.chub.apiBaseUrl;
+        saveSettingsDebounced();
+        // The tag list came from the previous host
+        knownTags = null;
+        handleSearch(event);
+    });
+
+    const avatarBaseUrl = document.getElementById('avatarBaseUrl');
+    avatarBaseUrl.value = extension_settings.chub.avatarBaseUrl;
+    avatarBaseUrl.addEventListener('change', function (event) {
+        extension_settings.chub.avatarBaseUrl = event.target.value.trim() || DEFAULT_AVATAR_BASE_URL;
+        event.target.value = extension_settings.chub.avatarBaseUrl;
+        saveSettingsDebounced();
+    });
+
+    const useServerProxy = document.getElementById('useServerProxy');
+    useServerProxy.checked = extension_settings.chub.useServerProxy;
+    useServerProxy.addEventListener('change', function (event) {
+        extension_settings.chub.useServerProxy = event.target.checked;
+        saveSettingsDebounced();
+        // The tag list came from the previous host
+        knownTags = null;
+        handleSearch(event);
+    });
+
+    const cacheEnabled = document.getElementById('cacheEnabled');
+    cacheEnabled.checked = extension_settings.chub.cacheEnabled;
+    cacheEnabled.addEventListener('change', function (event) {
+        extension_settings.chub.cacheEnabled = event.target.checked;
+        saveSettingsDebounced();
+    });
+
+    for (const key of ['cacheTtlMinutes', 'cacheMaxSizeMb']) {
+        const input = document.getElementById(key);
+        input.value = extension_settings.chub[key];
+        input.addEventListener('change', function (event) {
+            const value = parseInt(event.target.value);
+            extension_settings.chub[key] = isNaN(value) ? defaultSettings[key] : Math.max(1, value);
+            event.target.value = extension_settings.chub[key];
+            saveSettingsDebounced();
+        });
+    }
+
+    document.getElementById('clearCacheButton').addEventListener('click', function () {
+        searchCache.clear()
+            .then(() => toastr.success('Search cache cleared'))
+            .catch(error => {
+                console.error('Failed to clear the cache', error);
+                toastr.error('Failed to clear the cache');
+            });
+    });
+
+    const customIndexUrl = document.getElementById('customIndexUrl');
+    customIndexUrl.value = extension_settings.chub.customIndexUrl;
+    customIndexUrl.addEventListener('change', function (event) {
+        extension_settings.chub.customIndexUrl = event.target.value.trim();
+        saveSettingsDebounced();
+        // The tag list came from the previous host
+        knownTags = null;
+        handleSearch(event);
+    });
     document.getElementById('nsfwCheckbox').addEventListener('change', handleSearch);
 
     // when the page number is finished being changed, search again
@@ -591,7 +4264,7 @@ async function displayCharactersInListViewPopup() {
 
     // Add this after characterListContainer is defined
     const scrollHandler = debounce(() => {
-        if (isLoading || !hasMoreResults) {
+        if (searchSession.isLoading || !searchSession.hasMore) {
             console.log('Skipping scroll handler - loading or no more results');
             return;
         }
@@ -602,52 +4275,45 @@ async function displayCharactersInListViewPopup() {
         const bottomOffset = container.scrollHeight - (container.scrollTop + container.clientHeight);
         
         if (bottomOffset < threshold) {
-            const nextPage = currentPage + 1;
-            
+            const nextPage = searchSession.currentPage + 1;
+
             // Enhanced duplicate loading prevention
-            if (loadingPage === nextPage || 
-                lastLoadedPage === nextPage || 
-                processedPages.has(nextPage)) {
+            if (searchSession.loadingPage === nextPage ||
+                searchSession.lastLoadedPage === nextPage ||
+                searchSession.processedPages.has(nextPage)) {
                 console.log(`Skipping page ${nextPage} - already processed or loading`);
                 return;
             }
 
             console.log(`Loading page ${nextPage}`);
-            loadingPage = nextPage;
-            isLoading = true;
-            
+            searchSession.loadingPage = nextPage;
+            searchSession.isLoading = true;
+
             // Get current search parameters
-            const searchParams = {
-                searchTerm: document.getElementById('characterSearchInput').value,
-                includeTags: document.getElementById('includeTags').value.split(',').filter(tag => tag.length > 0).map(t => t.trim()),
-                excludeTags: document.getElementById('excludeTags').value.split(',').filter(tag => tag.length > 0).map(t => t.trim()),
-                nsfw: document.getElementById('nsfwCheckbox').checked,
-                sort: document.getElementById('sortOrder').value,
-                page: nextPage
-            };
+            const searchParams = getSearchOptions(nextPage);
 
             // Update currentPage before the search
-            currentPage = nextPage;
+            searchSession.currentPage = nextPage;
 
             // Execute the search with better state management
             executeCharacterSearch(searchParams, true)
                 .then(() => {
-                    lastLoadedPage = nextPage;
+                    searchSession.lastLoadedPage = nextPage;
                     console.log(`Successfully loaded page ${nextPage}`);
                 })
                 .catch(error => {
                     console.error('Infinite scroll error:', error);
                     // Reset loading state on error
-                    loadingPage = null;
-                    isLoading = false;
+                    searchSession.loadingPage = null;
+                    searchSession.isLoading = false;
                     // Remove from processed pages on error
-                    processedPages.delete(nextPage);
+                    searchSession.processedPages.delete(nextPage);
                 })
                 .finally(() => {
                     // Small delay before allowing next load
                     setTimeout(() => {
-                        loadingPage = null;
-                        isLoading = false;
+                        searchSession.loadingPage = null;
+                        searchSession.isLoading = false;
                     }, 250); // Increased delay
                 });
         }
@@ -655,6 +4321,44 @@ async function displayCharactersInListViewPopup() {
 
     characterListContainer.addEventListener('scroll', scrollHandler);
 
+    const presetSelect = document.getElementById('presetSelect');
+    renderPresetOptions();
+    presetSelect.addEventListener('change', function (event) {
+        if (!Object.hasOwn(extension_settings.chub.searchPresets, presetSelect.value)) return;
+        const preset = extension_settings.chub.searchPresets[presetSelect.value];
+
+        document.getElementById('presetName').value = presetSelect.value;
+        applySearchPreset(sanitizeSearchPreset(preset));
+        handleSearch(event);
+    });
+    document.getElementById('savePresetButton').addEventListener('click', function () {
+        saveSearchPreset(document.getElementById('presetName').value);
+    });
+    document.getElementById('deletePresetButton').addEventListener('click', function () {
+        deleteSearchPreset(presetSelect.value);
+        document.getElementById('presetName').value = '';
+    });
+    document.getElementById('defaultPresetButton').addEventListener('click', function () {
+        toggleDefaultPreset(presetSelect.value);
+    });
+    document.getElementById('exportPresetsButton').addEventListener('click', exportSearchPresets);
+    document.getElementById('importPresetsButton').addEventListener('click', function () {
+        document.getElementById('importPresetsFile').click();
+    });
+    document.getElementById('importPresetsFile').addEventListener('change', async function (event) {
+        const file = event.target.files[0];
+        event.target.value = '';
+        if (file) {
+            await importSearchPresets(file);
+        }
+    });
+
+    // Run the default preset right away, so the popup opens on the usual query
+    if (Object.hasOwn(extension_settings.chub.searchPresets, extension_settings.chub.defaultPreset)) {
+        presetSelect.value = extension_settings.chub.defaultPreset;
+        presetSelect.dispatchEvent(new Event('change'));
+    }
+
     // Add some CSS for the loading indicator
     const style = document.createElement('style');
     style.textContent = `
@@ -673,10 +4377,30 @@ async function displayCharactersInListViewPopup() {
     document.head.appendChild(style);
 
     // Initialize lazy loading after the popup is created
-    observeImages();
+    observeImages(true);
+
+    const viewMode = document.getElementById('viewMode');
+    const gridCardSize = document.getElementById('gridCardSize');
+    viewMode.value = extension_settings.chub.viewMode;
+    gridCardSize.value = extension_settings.chub.gridCardSize;
+    applyViewMode();
+    viewMode.addEventListener('change', function (event) {
+        extension_settings.chub.viewMode = event.target.value;
+        saveSettingsDebounced();
+        $('#chubDefaultView').val(extension_settings.chub.viewMode);
+        applyViewMode();
+    });
+    gridCardSize.addEventListener('input', function (event) {
+        extension_settings.chub.gridCardSize = Number(event.target.value);
+        saveSettingsDebounced();
+        applyViewMode();
+    });
 
     // Add event handler for show full descriptions toggle
-    document.getElementById('showFullDescriptions').addEventListener('change', function(event) {
+    const showFullDescriptions = document.getElementById('showFullDescriptions');
+    showFullDescriptions.checked = extension_settings.chub.showFullDescriptions;
+    document.querySelector('.list-and-search-wrapper').classList.toggle('show-full-descriptions', showFullDescriptions.checked);
+    showFullDescriptions.addEventListener('change', function(event) {
         const wrapper = document.querySelector('.list-and-search-wrapper');
         if (event.target.checked) {
             wrapper.classList.add('show-full-descriptions');
@@ -687,55 +4411,342 @@ async function displayCharactersInListViewPopup() {
 }
 
 /**
- * Fetches a character by making an API call.
- * 
- * This function sends a POST request to the API_ENDPOINT_DOWNLOAD with a provided character's fullPath. 
- * It requests the character in the "tavern" format and the "main" version. Once the data is fetched, it 
- * is converted to a blob before being returned.
- * 
- * @async
- * @function
- * @param {string} fullPath - The unique path/reference for the character to be fetched.
- * @returns {Promise<Blob>} - Resolves with a Blob of the fetched character data.
- */
-async function getCharacter(fullPath) {
-    let response = await fetch(
-        API_ENDPOINT_DOWNLOAD,
-        {
-            method: "POST",
-            headers: {
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify({
-                fullPath: fullPath,
-                format: "tavern",
-                version: "main"
-            }),
+ * Fetches the full card of a character and extracts its embedded data.
+ * The tavern-format download is a PNG with the card JSON in its `chara` text chunk.
+ * @param {string} fullPath - The unique path/reference for the character.
+ * @returns {Promise<Object|null>} - Resolves with the card data (V2 `data` object or V1 fields), or null if the card has no data.
+ */
+async function fetchCharacterCard(fullPath) {
+    const blob = await resolveProvider(fullPath).fetchCard(fullPath);
+    const buffer = new Uint8Array(await blob.arrayBuffer());
+    const card = extractDataFromPng(buffer);
+
+    if (!card) {
+        return null;
+    }
+
+    // V2 cards nest everything under `data`, V1 cards are flat
+    return card.data ?? card;
+}
+
+/**
+ * Finds a character from the loaded search results by its path.
+ * @param {string} fullPath - The unique path/reference for the character.
+ * @returns {Object|undefined} - The character, if it was loaded.
+ */
+function findLoadedCharacter(fullPath) {
+    return searchSession.find(fullPath);
+}
+
+/**
+ * Builds the preview HTML for a character card.
+ * @param {Object} character - The character from the search results.
+ * @param {Object|null} card - The card data from `fetchCharacterCard`.
+ * @returns {string} - The HTML for the preview body.
+ */
+function generateCharacterPreview(character, card) {
+    const section = (title, text) => text && String(text).trim()
+        ? `<div class="preview-section"><h4>${title}</h4><div class="preview-text">${escapeHtml(text)}</div></div>`
+        : '';
+
+    if (!card) {
+        return '<div class="preview-empty">This card has no embedded character data.</div>';
+    }
+
+    const greetings = Array.isArray(card.alternate_greetings) ? card.alternate_greetings.filter(x => x) : [];
+    const book = card.character_book;
+    const bookEntries = Array.isArray(book?.entries) ? book.entries : [];
+
+    return `
+        ${section('Description', card.description)}
+        ${section('Personality', card.personality)}
+        ${section('Scenario', card.scenario)}
+        ${section('First Message', card.first_mes)}
+        ${greetings.length > 0 ? `
+            <div class="preview-section">
+                <h4>Alternate Greetings (${greetings.length})</h4>
+                ${greetings.map((greeting, i) => `<details><summary>Greeting ${i + 1}</summary><div class="preview-text">${escapeHtml(greeting)}</div></details>`).join('')}
+            </div>` : ''}
+        ${section('Example Dialogue', card.mes_example)}
+        ${section('Creator Notes', card.creator_notes)}
+        ${book ? `
+            <div class="preview-section">
+                <h4>Embedded Lorebook${book.name ? `: ${escapeHtml(book.name)}` : ''}</h4>
+                <div>${bookEntries.length} entries</div>
+                <ul class="preview-lorebook">
+                    ${bookEntries.map(entry => `<li>${escapeHtml(entry.comment || entry.name || (entry.keys || []).join(', ') || 'Unnamed entry')}</li>`).join('')}
+                </ul>
+            </div>` : ''}
+    `;
+}
+
+/**
+ * Opens the in-popup preview for a character, fetching its full card.
+ * @param {string} fullPath - The unique path/reference for the character.
+ * @returns {Promise<void>} - Resolves once the preview has been rendered.
+ */
+async function openCharacterPreview(fullPath) {
+    const preview = document.getElementById('character-preview');
+    if (!preview) return;
+
+    const character = findLoadedCharacter(fullPath) || { fullPath, name: fullPath.split('/').pop(), author: fullPath.split('/')[0] };
+    const avatarSrc = sanitizeUrl(character.url, { allowBlob: true });
+    const header = `
+        <div class="preview-header flex-container flex-no-wrap flex-align-center">
+            <div role="button" tabindex="0" class="menu_button preview-back fa-solid fa-arrow-left" title="Back to results" aria-label="Back to results"></div>
+            ${avatarSrc ? `<img class="preview-avatar" src="${escapeHtml(avatarSrc)}" alt="">` : ''}
+            <div class="preview-title">
+                <div class="name">${escapeHtml(character.name)}</div>
+                <span class="author">by ${escapeHtml(character.author)}</span>
+            </div>
+            <div role="button" tabindex="0" class="menu_button preview-import" data-path="${escapeHtml(fullPath)}"><i class="fa-solid fa-cloud-arrow-down"></i> Import</div>
+        </div>
+    `;
+
+    characterListContainer.style.display = 'none';
+    preview.style.display = 'block';
+    preview.setAttribute('data-path', fullPath);
+    preview.innerHTML = header + '<div class="preview-body">Loading card...</div>';
+    preview.querySelector('.preview-back').focus();
+
+    let body;
+    try {
+        const card = await fetchCharacterCard(fullPath);
+        body = generateCharacterPreview(character, card);
+    } catch (error) {
+        console.error(`Failed to load card for ${fullPath}:`, error);
+        body = '<div class="preview-empty">Failed to load the character card.</div>';
+    }
+
+    // The user may have gone back or opened another preview in the meantime
+    if (preview.getAttribute('data-path') === fullPath && preview.style.display !== 'none') {
+        preview.querySelector('.preview-body').innerHTML = body;
+        await renderPreviewHistory(character);
+    }
+}
+
+/**
+ * Adds the version history and the forks of a character to its preview, if the provider has them.
+ * @param {Object} character - The previewed character.
+ * @returns {Promise<void>} - Resolves once the history has been rendered.
+ */
+async function renderPreviewHistory(character) {
+    const provider = resolveProvider(character.fullPath);
+    const preview = document.getElementById('character-preview');
+    if (!provider.fetchVersions && !provider.fetchForks) return;
+
+    const section = document.createElement('div');
+    section.className = 'preview-history';
+    section.innerHTML = '<div class="preview-empty">Loading versions and forks...</div>';
+    preview.appendChild(section);
+
+    const [versions, forks] = await Promise.allSettled([
+        provider.fetchVersions ? provider.fetchVersions(character) : Promise.resolve([]),
+        provider.fetchForks ? provider.fetchForks(character) : Promise.resolve([]),
+    ]);
+    if (preview.getAttribute('data-path') !== character.fullPath) return;
+
+    const fullPath = escapeHtml(character.fullPath);
+    const formatDate = (date) => date ? escapeHtml(new Date(date).toLocaleString()) : '';
+    const versionList = versions.status === 'rejected'
+        ? '<div class="preview-empty">Failed to load the version history.</div>'
+        : versions.value.length === 0
+            ? '<div class="preview-empty">No version history.</div>'
+            : `<ul class="preview-versions">${versions.value.map((version, index) => `
+                <li class="flex-container flex-no-wrap flex-align-center">
+                    <span class="preview-version-date">${formatDate(version.date)}</span>
+                    <span class="flex1">${escapeHtml(version.message)}${index === 0 ? ' <b>(latest)</b>' : ''}</span>
+                    <div role="button" tabindex="0" class="menu_button preview-import-version" data-path="${escapeHtml(fullPath)}" data-version="${escapeHtml(version.ref)}" data-date="${escapeHtml(version.date || '')}">Import this version</div>
+                </li>`).join('')}</ul>`;
+    const forkList = forks.status === 'rejected'
+        ? '<div class="preview-empty">Failed to load the forks.</div>'
+        : forks.value.length === 0
+            ? '<div class="preview-empty">No known forks.</div>'
+            : `<ul class="preview-forks">${forks.value.map(fork => `
+                <li class="flex-container flex-no-wrap flex-align-center">
+                    <span class="flex1"><i class="fa-solid fa-code-fork"></i> ${escapeHtml(fork.name)} <span class="author">by ${escapeHtml(fork.author)}</span></span>
+                    <span class="preview-version-date">${formatDate(fork.createdAt)}</span>
+                    <div role="button" tabindex="0" class="menu_button preview-fork-open" data-path="${escapeHtml(fork.fullPath)}">Preview</div>
+                    <div role="button" tabindex="0" class="menu_button preview-fork-import" data-path="${escapeHtml(fork.fullPath)}">Import</div>
+                </li>`).join('')}</ul>`;
+
+    section.innerHTML = `
+        <div class="preview-section"><b>Versions</b>${versionList}</div>
+        <div class="preview-section"><b>Forks</b>${forkList}</div>
+    `;
+}
+
+/**
+ * Closes the character preview and shows the result list again.
+ */
+function closeCharacterPreview() {
+    const preview = document.getElementById('character-preview');
+    const fullPath = preview?.getAttribute('data-path');
+    if (preview) {
+        preview.style.display = 'none';
+        preview.removeAttribute('data-path');
+        preview.innerHTML = '';
+    }
+    if (characterListContainer) {
+        characterListContainer.style.display = '';
+    }
+
+    // Go back to the row the preview was opened from
+    if (fullPath) {
+        const index = getResultRows().findIndex(row => row.getAttribute('data-path') === fullPath);
+        if (index !== -1) {
+            focusResult(index);
         }
-    );
+    }
+}
 
-    // If the request failed, try a backup endpoint - https://avatars.charhub.io/{fullPath}/avatar.webp
-    if (!response.ok) {
-        console.log(`Request failed for ${fullPath}, trying backup endpoint`);
-        response = await fetch(
-            `https://avatars.charhub.io/avatars/${fullPath}/avatar.webp`,
-            {
-                method: "GET",
-                headers: {
-                    'Content-Type': 'application/json'
-                },
-            }
-        );
+/**
+ * Turns a chub.ai (or self-hosted index) page URL into a `fullPath`. Paths are returned as they are.
+ * @param {string} input - A URL like https://chub.ai/characters/author/name, or a path like author/name.
+ * @returns {string} - The fullPath, with the `lorebooks/` prefix for lorebooks.
+ */
+function parseContentReference(input) {
+    let reference = String(input).trim();
+    try {
+        reference = new URL(reference).pathname;
+    } catch {
+        // Not a URL, so it's already a path
+    }
+    return decodeURIComponent(reference).replace(/^\/+|\/+$/g, '').replace(/^characters\//, '');
+}
+
+/**
+ * `/chub-search` callback. Searches the active provider without touching the popup.
+ * @param {Object} args - The named arguments.
+ * @param {string} query - The search term.
+ * @returns {Promise<string>} - A JSON list of fullPaths, or of result objects with `details=true`.
+ */
+async function chubSearchCommand(args, query) {
+    const provider = getActiveProvider();
+    const splitTags = (value) => String(value || '').split(',').map(normalizeTag).filter(Boolean);
+    const contentType = args.type || 'characters';
+    const sort = args.sort || Object.keys(provider.sortOptions)[0];
+
+    if (!Object.hasOwn(provider.contentTypes, contentType)) {
+        throw new Error(`Unknown type "${contentType}", expected one of: ${Object.keys(provider.contentTypes).join(', ')}`);
+    }
+    if (!Object.hasOwn(provider.sortOptions, sort)) {
+        throw new Error(`Unknown sort "${sort}", expected one of: ${Object.keys(provider.sortOptions).join(', ')}`);
+    }
+
+    const nodes = await fetchSearchPage(provider, {
+        searchTerm: String(query || '').trim(),
+        includeTags: splitTags(args.tags),
+        excludeTags: splitTags(args.exclude),
+        nsfw: args.nsfw === undefined ? extension_settings.chub.nsfw : isTrueArgument(args.nsfw),
+        sort,
+        page: Math.max(1, Number(args.page) || 1),
+        first: Math.max(1, Number(args.limit) || extension_settings.chub.findCount),
+        contentType,
+        filters: getAdvancedFilters(),
+    });
+
+    const blocklist = compileBlocklist();
+    const results = nodes.map(node => provider.normalizeResult(node, contentType)).filter(result => !getBlockReason(result, blocklist));
+    if (isTrueArgument(args.details)) {
+        return JSON.stringify(results.map(({ fullPath, name, author, description, tags, type, lastActivityAt }) =>
+            ({ fullPath, name, author, tagline: description, tags, type, lastActivityAt })));
+    }
+    return JSON.stringify(results.map(result => result.fullPath));
+}
+
+/**
+ * `/chub-import` callback. Imports one character or lorebook, or each one of a JSON list as returned by `/chub-search`.
+ * @param {Object} args - The named arguments.
+ * @param {string} value - A fullPath, a chub.ai URL, or a JSON list of them.
+ * @returns {Promise<string>} - The avatar file name (or World Info name) of the import, or a JSON list of them for a list.
+ */
+async function chubImportCommand(args, value) {
+    value = String(value || '').trim();
+    if (!value) {
+        throw new Error('Give a fullPath or chub.ai URL to import');
+    }
+
+    let references;
+    try {
+        references = JSON.parse(value);
+    } catch {
+        references = null;
+    }
+
+    if (!Array.isArray(references)) {
+        return await downloadCharacter(parseContentReference(value));
     }
-    let data = await response.blob();
-    return data;
+
+    // Failures in a list are reported and skipped, so one bad entry doesn't stop the script
+    const imported = [];
+    for (const reference of references) {
+        const fullPath = parseContentReference(reference?.fullPath ?? reference);
+        try {
+            imported.push(await downloadCharacter(fullPath));
+        } catch (error) {
+            notifyImportFailure(fullPath, error);
+        }
+    }
+    return JSON.stringify(imported);
+}
+
+/**
+ * Reads a boolean slash command argument.
+ * @param {any} value - The argument value.
+ * @returns {boolean} - True for "true", "on", "yes" and "1".
+ */
+function isTrueArgument(value) {
+    return ['true', 'on', 'yes', '1'].includes(String(value).trim().toLowerCase());
+}
+
+/**
+ * Registers the `/chub-search` and `/chub-import` slash commands.
+ */
+function registerSlashCommands() {
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'chub-search',
+        callback: chubSearchCommand,
+        returns: 'JSON list of fullPaths, or of result objects with details=true',
+        namedArgumentList: [
+            SlashCommandNamedArgument.fromProps({ name: 'tags', description: 'comma separated tags to include', typeList: [ARGUMENT_TYPE.STRING] }),
+            SlashCommandNamedArgument.fromProps({ name: 'exclude', description: 'comma separated tags to exclude', typeList: [ARGUMENT_TYPE.STRING] }),
+            SlashCommandNamedArgument.fromProps({ name: 'sort', description: 'sort order, e.g. download_count, rating, last_activity_at', typeList: [ARGUMENT_TYPE.STRING] }),
+            SlashCommandNamedArgument.fromProps({ name: 'nsfw', description: 'include NSFW results', typeList: [ARGUMENT_TYPE.BOOLEAN] }),
+            SlashCommandNamedArgument.fromProps({ name: 'type', description: 'characters or lorebooks', typeList: [ARGUMENT_TYPE.STRING], defaultValue: 'characters', enumList: ['characters', 'lorebooks'] }),
+            SlashCommandNamedArgument.fromProps({ name: 'page', description: 'result page', typeList: [ARGUMENT_TYPE.NUMBER], defaultValue: '1' }),
+            SlashCommandNamedArgument.fromProps({ name: 'limit', description: 'results per page', typeList: [ARGUMENT_TYPE.NUMBER] }),
+            SlashCommandNamedArgument.fromProps({ name: 'details', description: 'return result objects instead of fullPaths', typeList: [ARGUMENT_TYPE.BOOLEAN], defaultValue: 'false' }),
+        ],
+        unnamedArgumentList: [
+            SlashCommandArgument.fromProps({ description: 'search query', typeList: [ARGUMENT_TYPE.STRING] }),
+        ],
+        helpString: `
+            <div>Searches Chub (or the selected source) and returns the results as a list.</div>
+            <div><strong>Example:</strong> <code>/chub-search tags=fantasy sort=rating limit=5 knight | /echo</code></div>
+        `,
+    }));
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'chub-import',
+        callback: chubImportCommand,
+        returns: 'avatar file name of the imported character or World Info name of the lorebook, or a JSON list of them',
+        unnamedArgumentList: [
+            SlashCommandArgument.fromProps({ description: 'fullPath, chub.ai URL, or JSON list of them', typeList: [ARGUMENT_TYPE.STRING, ARGUMENT_TYPE.LIST], isRequired: true }),
+        ],
+        helpString: `
+            <div>Imports a character or lorebook from Chub. Accepts the list returned by <code>/chub-search</code> to import every result.</div>
+            <div><strong>Example:</strong> <code>/chub-import https://chub.ai/characters/author/name</code></div>
+        `,
+    }));
 }
 
 /**
  * jQuery document-ready block:
  * - Fetches the HTML settings for an extension from a known endpoint and prepares a button for character search.
  * - The button, when clicked, triggers the `openSearchPopup` function.
- * - Finally, it loads any previously saved settings related to this extension.
+ * - Finally, it loads any previously saved settings related to this extension,
+ *   registers the slash commands and, if enabled, checks the imported characters for updates.
  */
 jQuery(async () => {
     // put our button in between external_import_button and rm_button_group_chats in the form_character_search_form
@@ -745,7 +4756,25 @@ jQuery(async () => {
         openSearchPopup();
     });
 
-    loadSettings();
+    await loadSettings();
+    registerSlashCommands();
+
+    try {
+        await setupSettingsPanel();
+    } catch (error) {
+        console.error('Failed to load the Chub Search settings drawer', error);
+    }
+
+    // The character list isn't loaded yet when extensions start, and the check skips characters it can't find
+    eventSource.once(event_types.APP_READY, () => {
+        if (!extension_settings.chub.checkUpdatesOnStartup) return;
+
+        checkForUpdates().then(updates => {
+            if (updates.length > 0) {
+                toastr.info('Click to review them', `${updates.length} imported Chub character(s) have updates`, { onclick: () => openSearchPopup() });
+            }
+        });
+    });
 });
 
 // Add new optimization for batch processing
@@ -762,9 +4791,7 @@ const filterDuplicateCharacters = (characters) => {
     });
 };
 
-let seenCharacters = new Map(); // Changed to Map to store full character data
-
-const processCharacters = async (nodes) => {
+const processCharacters = async (nodes, contentType = 'characters', provider = getActiveProvider()) => {
     const batchSize = 20;
     const batches = [];
     const processedCharacters = [];
@@ -776,31 +4803,25 @@ const processCharacters = async (nodes) => {
 
     for (const batch of batches) {
         const promises = batch.map(async (node) => {
-            const key = `${node.name.toLowerCase()}-${node.fullPath.split('/')[0].toLowerCase()}`;
+            let character;
+            try {
+                character = provider.normalizeResult(node, contentType);
+            } catch (error) {
+                console.error(`Failed to read search result ${node.name}:`, error);
+                return null;
+            }
+            const key = `${character.type === 'lorebook' ? 'lorebook-' : ''}${character.name.toLowerCase()}-${character.author.toLowerCase()}`;
             
             // Skip if we've already seen this character
-            if (seenCharacters.has(key)) {
+            if (searchSession.seen.has(key)) {
                 console.log(`Skipping duplicate character: ${node.name}`);
                 return null;
             }
 
-            try {
-                const blob = await getCharacter(node.fullPath);
-                const character = {
-                    url: URL.createObjectURL(blob),
-                    description: node.tagline || "Description here...",
-                    name: node.name,
-                    fullPath: node.fullPath,
-                    tags: node.topics,
-                    author: node.fullPath.split('/')[0],
-                };
-                
-                seenCharacters.set(key, character);
-                return character;
-            } catch (error) {
-                console.error(`Failed to process character ${node.name}:`, error);
-                return null;
-            }
+            // Avatars are loaded when their row scrolls into view, see observeImages
+            character.url = '';
+            searchSession.seen.set(key, character);
+            return character;
         });
 
         const results = await Promise.all(promises);
@@ -814,25 +4835,58 @@ const processCharacters = async (nodes) => {
     return processedCharacters;
 };
 
-// Simplified lazy loading implementation
-const observeImages = () => {
-    const imageObserver = new IntersectionObserver((entries) => {
-        entries.forEach(entry => {
-            if (entry.isIntersecting) {
-                const img = entry.target;
-                if (img.classList.contains('lazy')) {
-                    img.classList.remove('lazy');
-                    imageObserver.unobserve(img);
+let imageObserver = null;
+
+/**
+ * Loads the avatar of a row once its thumbnail scrolls into view of the result list.
+ * @param {HTMLImageElement} img - The lazy thumbnail.
+ * @returns {Promise<void>} - Resolves once the avatar is shown.
+ */
+async function loadLazyImage(img) {
+    const row = img.closest('.character-list-item');
+    const character = row && findLoadedCharacter(row.getAttribute('data-path'));
+    if (!character) return;
+
+    try {
+        if (!character.url) {
+            character.url = await loadAvatar(character);
+        }
+        img.src = character.url;
+    } catch (error) {
+        console.error(`Failed to load avatar of ${character.name}:`, error);
+    }
+}
+
+/**
+ * Starts watching the lazy thumbnails in the result list.
+ * @param {boolean} [reset=false] - Whether to recreate the observer, e.g. when the list was re-attached to a new popup.
+ */
+const observeImages = (reset = false) => {
+    if (reset && imageObserver) {
+        imageObserver.disconnect();
+        imageObserver = null;
+    }
+
+    if (!imageObserver) {
+        imageObserver = new IntersectionObserver((entries) => {
+            entries.forEach(entry => {
+                if (entry.isIntersecting) {
+                    const img = entry.target;
+                    if (img.classList.contains('lazy')) {
+                        img.classList.remove('lazy');
+                        imageObserver.unobserve(img);
+                        loadLazyImage(img);
+                    }
                 }
-            }
+            });
+        }, {
+            root: characterListContainer,
+            rootMargin: '50px 0px',
+            threshold: 0.1
         });
-    }, {
-        rootMargin: '50px 0px',
-        threshold: 0.1
-    });
+    }
 
-    document.querySelectorAll('.thumbnail.lazy').forEach(img => {
+    characterListContainer?.querySelectorAll('.thumbnail.lazy').forEach(img => {
         imageObserver.observe(img);
     });
 };
-
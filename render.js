@@ -0,0 +1,174 @@
+// Rendering of search results. Everything that comes from a provider goes through here,
+// so it has no SillyTavern imports and can be tested on its own (see tests/render.test.js).
+// `showdown` and `DOMPurify` are the globals SillyTavern loads.
+
+// What a rendered tagline may keep, everything else is stripped by DOMPurify
+const TAGLINE_ALLOWED_TAGS = ['p', 'br', 'b', 'strong', 'i', 'em', 'u', 's', 'del', 'code', 'span', 'a', 'ul', 'ol', 'li', 'blockquote'];
+const TAGLINE_ALLOWED_ATTRIBUTES = ['href', 'title'];
+
+let taglineConverter = null;
+
+/**
+ * Checks that a URL coming from a provider or a card is safe to put into a link or an image.
+ * Relative URLs are resolved against the page, so they end up on the SillyTavern server.
+ * @param {string} url - The URL to check.
+ * @param {Object} [options]
+ * @param {boolean} [options.allowBlob=false] - Whether object URLs are accepted, e.g. for cached avatars.
+ * @returns {string} - The absolute URL, or an empty string if it is malformed or not http(s).
+ */
+export function sanitizeUrl(url, { allowBlob = false } = {}) {
+    if (!url) return '';
+
+    try {
+        const parsed = new URL(String(url), window.location.href);
+        const protocols = allowBlob ? ['http:', 'https:', 'blob:'] : ['http:', 'https:'];
+        return protocols.includes(parsed.protocol) ? parsed.href : '';
+    } catch {
+        return '';
+    }
+}
+
+/**
+ * Encodes every segment of a path like `author/character` for use in a URL.
+ * @param {string} path - The path to encode.
+ * @returns {string} - The encoded path, slashes included as they are.
+ */
+export function encodePath(path) {
+    return String(path).split('/').map(segment => encodeURIComponent(segment)).join('/');
+}
+
+/**
+ * Creates an element with the given attributes and children. Strings become text nodes,
+ * so nothing passed here is ever parsed as HTML.
+ * @param {string} tagName - The tag of the element.
+ * @param {Object<string, string>} [attributes={}] - The attributes to set, null values are skipped.
+ * @param {...(Node|string|null)} children - The children to append, null values are skipped.
+ * @returns {HTMLElement} - The element.
+ */
+export function createElement(tagName, attributes = {}, ...children) {
+    const element = document.createElement(tagName);
+    for (const [name, value] of Object.entries(attributes)) {
+        if (value !== null && value !== undefined) {
+            element.setAttribute(name, String(value));
+        }
+    }
+    element.append(...children.filter(child => child !== null && child !== undefined));
+    return element;
+}
+
+/**
+ * Creates a link that opens in a new tab, or a plain span if the URL doesn't pass `sanitizeUrl`.
+ * @param {string} url - The link target.
+ * @param {...(Node|string)} children - The content of the link.
+ * @returns {HTMLElement} - The link.
+ */
+export function createExternalLink(url, ...children) {
+    const href = sanitizeUrl(url);
+    return href
+        ? createElement('a', { href, target: '_blank', rel: 'noopener noreferrer' }, ...children)
+        : createElement('span', {}, ...children);
+}
+
+/**
+ * Renders a tagline as markdown and sanitizes the result, links included.
+ * @param {string} text - The tagline from the search results.
+ * @returns {DocumentFragment} - The sanitized content.
+ */
+export function renderTagline(text) {
+    taglineConverter ??= new showdown.Converter({ simpleLineBreaks: true, strikethrough: true, noHeaderId: true });
+    const html = taglineConverter.makeHtml(String(text ?? ''));
+    const fragment = DOMPurify.sanitize(html, {
+        ALLOWED_TAGS: TAGLINE_ALLOWED_TAGS,
+        ALLOWED_ATTR: TAGLINE_ALLOWED_ATTRIBUTES,
+        RETURN_DOM_FRAGMENT: true,
+    });
+
+    for (const link of fragment.querySelectorAll('a')) {
+        const href = sanitizeUrl(link.getAttribute('href'));
+        if (href) {
+            link.setAttribute('href', href);
+            link.setAttribute('target', '_blank');
+            link.setAttribute('rel', 'noopener noreferrer');
+        } else {
+            link.removeAttribute('href');
+        }
+    }
+    return fragment;
+}
+
+/**
+ * Builds the row of a character or lorebook in the result list.
+ * Every value from the search results goes in as text or an attribute, never as markup.
+ * @param {Object} character - The character data object.
+ * @param {number} index - The index of the character in the list.
+ * @param {Object} state - What the row shows besides the result itself.
+ * @param {Object} state.provider - The provider of the result, for the character and profile links.
+ * @param {boolean} state.favorited - Whether the character is in the favorites.
+ * @param {boolean} state.selected - Whether the character is selected for batch import.
+ * @param {string} state.libraryStatus - The escaped badge HTML from `generateLibraryStatus`.
+ * @returns {HTMLElement} - The row element.
+ */
+export function buildResultRow(character, index, { provider, favorited, selected, libraryStatus: libraryStatusHtml }) {
+    const fullPath = character.fullPath;
+    const name = character.name || 'Default Name';
+    const author = character.author || '';
+    const button = (className, title) => createElement('div', {
+        role: 'button',
+        tabindex: '0',
+        'data-path': fullPath,
+        class: `menu_button ${className} faSmallFontSquareFix`,
+        title,
+        'aria-label': title,
+    });
+
+    const checkbox = createElement('input', {
+        type: 'checkbox',
+        class: 'select-character',
+        'data-path': fullPath,
+        'data-name': character.name || '',
+        title: 'Select for batch import',
+        'aria-label': `Select ${name} for batch import`,
+    });
+    checkbox.checked = selected;
+
+    const src = sanitizeUrl(character.url, { allowBlob: true });
+    const thumbnail = createElement('img', {
+        class: src ? 'thumbnail' : 'thumbnail lazy',
+        src: src || null,
+        alt: character.name || 'Character Image',
+    });
+
+    const libraryStatus = createElement('span', { class: 'library-status' });
+    libraryStatus.innerHTML = libraryStatusHtml;
+
+    const info = createElement('div', { class: 'info' },
+        createExternalLink(provider.getCharacterUrl(fullPath), createElement('div', { class: 'name' }, name)),
+        createExternalLink(provider.getProfileUrl(author), createElement('span', { class: 'author' }, `by ${author}`)),
+        character.parentId
+            ? createElement('span', { class: 'fork-badge', title: 'A fork of another character' }, createElement('i', { class: 'fa-solid fa-code-fork' }), ' Fork')
+            : null,
+        libraryStatus,
+        createElement('div', { class: 'description' }, renderTagline(character.description || '')),
+        createElement('div', { class: 'tags' }, ...(character.tags || []).map(tag =>
+            createElement('span', { class: 'tag', title: 'Click to include, Shift+click to exclude, right-click for more' }, String(tag)))),
+    );
+
+    const favoriteButton = button(`favorite-btn ${favorited ? 'favorited fa-solid' : 'fa-regular'} fa-star`, 'Favorite');
+    favoriteButton.setAttribute('aria-pressed', String(favorited));
+
+    return createElement('div', {
+        class: 'character-list-item',
+        role: 'listitem',
+        tabindex: '-1',
+        'aria-label': `${name} by ${author}`,
+        'data-index': index,
+        'data-path': fullPath,
+    },
+        checkbox,
+        thumbnail,
+        info,
+        favoriteButton,
+        character.type === 'lorebook' ? null : button('preview-btn fa-solid fa-eye', 'Preview card'),
+        button('download-btn fa-solid fa-cloud-arrow-down', 'Import'),
+    );
+}
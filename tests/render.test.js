@@ -0,0 +1,157 @@
+// Regression tests for the rendering of search results with malicious sample nodes.
+// SillyTavern provides `window`, `DOMPurify` and `showdown` as globals, jsdom stands in for them here.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { JSDOM } from 'jsdom';
+import createDOMPurify from 'dompurify';
+import showdown from 'showdown';
+
+const { window } = new JSDOM('<!DOCTYPE html><body></body>', { url: 'https://tavern.example/' });
+globalThis.window = window;
+globalThis.document = window.document;
+globalThis.DOMPurify = createDOMPurify(window);
+globalThis.showdown = showdown;
+
+const { sanitizeUrl, encodePath, renderTagline, buildResultRow } = await import('../render.js');
+
+const XSS_MARKUP = '<img src=x onerror="alert(1)"><script>alert(2)</script>';
+
+const maliciousNode = {
+    fullPath: 'evil"author/<img src=x onerror=alert(3)>',
+    name: `Innocent ${XSS_MARKUP}`,
+    author: `evil"><svg onload=alert(4)>`,
+    description: `Hi ${XSS_MARKUP} [click](javascript:alert(5)) <a href="javascript:alert(6)">me</a> <iframe src="javascript:alert(7)"></iframe>`,
+    tags: [XSS_MARKUP, '"><img src=x onerror=alert(8)>'],
+    url: 'javascript:alert(9)',
+    type: 'character',
+    parentId: null,
+};
+
+const maliciousProvider = {
+    getCharacterUrl: () => 'javascript:alert(10)',
+    getProfileUrl: () => 'data:text/html,<script>alert(11)</script>',
+};
+
+const safeProvider = {
+    getCharacterUrl: (fullPath) => `https://chub.ai/characters/${encodePath(fullPath)}`,
+    getProfileUrl: (author) => `https://chub.ai/users/${encodeURIComponent(author)}`,
+};
+
+/**
+ * Fails if anything under the root could run script: script-like elements, event handler attributes
+ * or links and sources with a script URL.
+ * @param {Node} root - The rendered content.
+ */
+function assertNothingExecutable(root) {
+    const container = document.createElement('div');
+    container.append(root.cloneNode(true));
+
+    for (const element of container.querySelectorAll('*')) {
+        assert.ok(!['SCRIPT', 'IFRAME', 'OBJECT', 'EMBED', 'SVG'].includes(element.tagName.toUpperCase()), `unexpected <${element.tagName}>`);
+        for (const attribute of element.attributes) {
+            assert.ok(!/^on/i.test(attribute.name), `event handler ${attribute.name} on <${element.tagName}>`);
+            if (['href', 'src', 'action', 'formaction', 'xlink:href'].includes(attribute.name)) {
+                assert.ok(!/^\s*(javascript|data|vbscript):/i.test(attribute.value), `${attribute.name}="${attribute.value}"`);
+            }
+        }
+    }
+}
+
+test('sanitizeUrl only lets http(s) through', () => {
+    assert.equal(sanitizeUrl('https://avatars.charhub.io/a.webp'), 'https://avatars.charhub.io/a.webp');
+    assert.equal(sanitizeUrl('/thumbnail?file=a.png'), 'https://tavern.example/thumbnail?file=a.png');
+    assert.equal(sanitizeUrl('javascript:alert(1)'), '');
+    assert.equal(sanitizeUrl(' JavaScript:alert(1)'), '');
+    assert.equal(sanitizeUrl('data:text/html,<script>alert(1)</script>'), '');
+    assert.equal(sanitizeUrl('vbscript:msgbox(1)'), '');
+    assert.equal(sanitizeUrl('http://[bad'), '');
+    assert.equal(sanitizeUrl(''), '');
+    assert.equal(sanitizeUrl(null), '');
+});
+
+test('sanitizeUrl accepts object URLs only when asked to', () => {
+    const objectUrl = 'blob:https://tavern.example/0b6a1f6e-1111-2222-3333-444455556666';
+    assert.equal(sanitizeUrl(objectUrl), '');
+    assert.equal(sanitizeUrl(objectUrl, { allowBlob: true }), objectUrl);
+});
+
+test('encodePath encodes every segment and keeps the slashes', () => {
+    assert.equal(encodePath('author/my character'), 'author/my%20character');
+    assert.equal(encodePath('a"b/<img onerror=x>'), 'a%22b/%3Cimg%20onerror%3Dx%3E');
+    assert.equal(encodePath('../../admin'), '../../admin'.split('/').map(encodeURIComponent).join('/'));
+});
+
+test('renderTagline keeps markdown formatting', () => {
+    const container = document.createElement('div');
+    container.append(renderTagline('**bold** and *italic* with a [link](https://chub.ai)'));
+
+    assert.ok(container.querySelector('strong'));
+    assert.ok(container.querySelector('em'));
+    const link = container.querySelector('a');
+    assert.equal(link.getAttribute('href'), 'https://chub.ai/');
+    assert.equal(link.getAttribute('target'), '_blank');
+    assert.equal(link.getAttribute('rel'), 'noopener noreferrer');
+});
+
+test('renderTagline strips markup and script links', () => {
+    const fragment = renderTagline(maliciousNode.description);
+    assertNothingExecutable(fragment);
+
+    const container = document.createElement('div');
+    container.append(fragment);
+    assert.equal(container.querySelector('img'), null);
+    for (const link of container.querySelectorAll('a')) {
+        assert.equal(link.hasAttribute('href'), false);
+    }
+});
+
+test('renderTagline handles empty and non-string taglines', () => {
+    for (const value of [undefined, null, '', 42]) {
+        assertNothingExecutable(renderTagline(value));
+    }
+});
+
+test('buildResultRow renders a malicious node as plain text', () => {
+    const row = buildResultRow(maliciousNode, 0, { provider: safeProvider, favorited: false, selected: false, libraryStatus: '' });
+    assertNothingExecutable(row);
+
+    // The only image is the thumbnail, and it has no script source
+    const images = row.querySelectorAll('img');
+    assert.equal(images.length, 1);
+    assert.ok(images[0].classList.contains('lazy'));
+    assert.equal(images[0].hasAttribute('src'), false);
+
+    assert.equal(row.querySelector('.name').textContent, maliciousNode.name);
+    assert.equal(row.querySelector('.author').textContent, `by ${maliciousNode.author}`);
+    assert.deepEqual(Array.from(row.querySelectorAll('.tag'), tag => tag.textContent), maliciousNode.tags);
+    assert.equal(row.getAttribute('data-path'), maliciousNode.fullPath);
+    assert.equal(row.querySelector('.download-btn').getAttribute('data-path'), maliciousNode.fullPath);
+});
+
+test('buildResultRow drops script URLs from the provider', () => {
+    const row = buildResultRow(maliciousNode, 0, { provider: maliciousProvider, favorited: false, selected: false, libraryStatus: '' });
+    assertNothingExecutable(row);
+
+    // Links that don't pass sanitizeUrl become plain spans
+    assert.equal(row.querySelector('.info > a'), null);
+    assert.equal(row.querySelector('.name').textContent, maliciousNode.name);
+});
+
+test('buildResultRow reflects the favorite and selection state', () => {
+    const node = { ...maliciousNode, url: 'blob:https://tavern.example/avatar', type: 'lorebook' };
+    const row = buildResultRow(node, 3, { provider: safeProvider, favorited: true, selected: true, libraryStatus: '' });
+
+    assert.equal(row.querySelector('.select-character').checked, true);
+    assert.equal(row.querySelector('.favorite-btn').getAttribute('aria-pressed'), 'true');
+    assert.equal(row.querySelector('.preview-btn'), null);
+    assert.equal(row.querySelector('img.thumbnail').getAttribute('src'), node.url);
+    assert.equal(row.getAttribute('data-index'), '3');
+});
+
+test('buildResultRow renders without links when the provider has no pages', () => {
+    const provider = { getCharacterUrl: () => '', getProfileUrl: () => '' };
+    const row = buildResultRow(maliciousNode, 0, { provider, favorited: false, selected: false, libraryStatus: '' });
+
+    assert.equal(row.querySelector('.info > a'), null);
+    assert.equal(row.querySelector('.author').textContent, `by ${maliciousNode.author}`);
+});